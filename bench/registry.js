@@ -0,0 +1,63 @@
+'use strict'
+
+/**
+ * Compares the room and player lookups of the Registry indexes with the linear scans they replace.
+ * Usage: npm run bench [-- <number of rooms>]
+ */
+
+const Registry = require('../lib/Registry')
+
+const ROOM_COUNT = Number.parseInt(process.argv[2], 10) || 2000
+const PLAYERS_PER_ROOM = 4
+const LOOKUPS = 1000
+
+// Fill a registry
+const registry = new Registry()
+for (let r = 0; r < ROOM_COUNT; r++)
+{
+    const roomId = `room_${r}`
+    registry.addRoom(roomId, { code: `CODE${r}`, host: null, players: new Set(), spectators: new Set() })
+
+    for (let p = 0; p < PLAYERS_PER_ROOM; p++)
+    {
+        const playerId = `socket_${r}_${p}`
+        registry.addPlayer(playerId, { publicId: `player_${r}_${p}`, roomId: null, spectator: false })
+        registry.joinRoom(playerId, roomId)
+    }
+}
+
+// Former lookups: linear scans
+const scanRoomIdFromCode = (code) =>
+{
+    for (const roomId of Object.keys(registry.rooms))
+    {
+        if (registry.rooms[roomId].code === code)
+        {
+            return roomId
+        }
+    }
+    return null
+}
+const scanPlayerIdFromPublicId = (publicId) =>
+{
+    return Object.keys(registry.players).find((playerId) => registry.players[playerId].publicId === publicId) || null
+}
+
+// Measure
+const measure = (label, lookup, keys) =>
+{
+    const start = process.hrtime.bigint()
+    keys.forEach(lookup)
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6
+
+    console.log(`${label.padEnd(40)} ${elapsed.toFixed(2).padStart(10)} ms`)
+}
+
+const codes = Array.from({ length: LOOKUPS }, () => `CODE${Math.floor(Math.random() * ROOM_COUNT)}`)
+const publicIds = codes.map((code) => `player_${code.slice(4)}_0`)
+
+console.log(`${ROOM_COUNT} rooms, ${ROOM_COUNT * PLAYERS_PER_ROOM} players, ${LOOKUPS} lookups\n`)
+measure('room by code (linear scan)', scanRoomIdFromCode, codes)
+measure('room by code (registry index)', (code) => registry.getRoomIdFromCode(code), codes)
+measure('player by public ID (linear scan)', scanPlayerIdFromPublicId, publicIds)
+measure('player by public ID (registry index)', (publicId) => registry.getPlayerIdFromPublicId(publicId), publicIds)
@@ -1,9 +1,23 @@
 const Server = require('./lib/Server')
+const { validateSchema, ValidationError } = require('./lib/Schema')
 
 /**
  * @typedef {Object} ActionDescriptor
  * @property {string} name The action name. The Game class must have a method with that name
- * @property {ValidationCallback} [inputValidator] A validation function run on the user input
+ * @property {(ValidationCallback|Object)} [inputValidator] A validation function or schema run on the user input
+ * @property {(RateLimit|null)} [rateLimit] Rate limit of the action for each socket, null to disable (default: the server rate limit of the actions)
+ * @property {Boolean} [hostOnly=false] Whether only the room host can do the action
+ * @property {Array.<any>} [allowedPhases] Game phases in which the action is allowed, matched against the phase attribute of the game instance
+ * @property {GuardCallback} [guard] Function telling if a player is allowed to do the action
+ */
+
+/**
+ * This callback type is called `guardCallback` and is used to check if a player is allowed to do an action.
+ * @callback GuardCallback
+ * @param {string} playerId The public ID of the player
+ * @param {any} gameInstance The game instance of the room
+ * @param {Object} room The room ({ code, gameType, host, players, settings }), with the public IDs of the host and players
+ * @returns {Boolean} Whether the player is allowed to do the action
  */
 
 /**
@@ -16,7 +30,73 @@ const Server = require('./lib/Server')
  * This callback type is called `validationCallback` and is used to validate user inputs.
  * @callback ValidationCallback
  * @param {any} data Client input
- * @returns {Boolean} Whether the user input is valid
+ * @returns {(Boolean|ValidationResult)} Whether the user input is valid, or { valid, reason, field, details } to tell the client why it is not
+ * @throws {ValidationError} To reject the user input with a reason, a field and details
+ */
+
+/**
+ * This callback type is called `hostChooserCallback` and is used to choose a new host when the host leaves.
+ * @callback HostChooserCallback
+ * @param {Array.<Object>} candidates The online players who can become host ({ publicId, name, data }), in joining order
+ * @returns {string} The public ID of the new host
+ */
+
+/**
+ * This callback type is called `authenticateCallback` and is used to authenticate the sockets.
+ * @callback AuthenticateCallback
+ * @param {Object} handshake The socket.io handshake of the socket (auth, headers, query...)
+ * @returns {(Object|null|Promise.<(Object|null)>)} The user ({ userId, profile }), or a falsy value to reject the socket
+ */
+
+/**
+ * @typedef {Object} MatchmakingConfig
+ * @property {number} [targetSize] Number of players per match (default: the game minPlayers)
+ * @property {Boolean} [autoStart=false] Whether the game starts as soon as a match is made
+ * @property {number} [timeout=0] Number of seconds before an unmatched player is removed from the queue (0 to disable)
+ * @property {Function} [bucket] Function receiving { queueKey, playerData, gameType } and returning the pool of a waiting player
+ */
+
+/**
+ * @typedef {Object} PasswordThrottleConfig
+ * @property {number} [maxFailures=3] Number of consecutive wrong passwords allowed before locking a socket out
+ * @property {number} [lockTime=5] Number of seconds of the first lockout, doubled on every new failure
+ * @property {number} [maxLockTime=300] Number of seconds of the longest lockout
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} limit Maximum number of requests in a burst
+ * @property {number} interval Number of seconds it takes to allow a full burst again
+ */
+
+/**
+ * @typedef {Object} ChatConfig
+ * @property {number} [maxLength=200] Maximum number of characters of a message
+ * @property {number} [historySize=50] Number of messages kept in the history of each room
+ * @property {Function} [filter] Function receiving a message and its sender ({ playerId, name }), and returning the message to send or false to reject it
+ * @property {RateLimit} [rateLimit={ limit: 5, interval: 10 }] Rate limit of the messages of each socket
+ */
+
+/**
+ * @typedef {Object} RateLimitConfig
+ * @property {(RateLimit|null)} [default=null] Rate limit of each built-in command for each socket, null to disable
+ * @property {(RateLimit|null)} [actions=null] Rate limit of each game action for each socket, null to disable
+ * @property {Object.<string, (RateLimit|null)>} [commands] Rate limits of specific commands, indexed by command name
+ * @property {number} [maxViolations=10] Number of throttled requests allowed every violationInterval seconds before disconnecting a socket
+ * @property {number} [violationInterval=10] Number of seconds it takes to allow maxViolations throttled requests again
+ */
+
+/**
+ * @typedef {Object} GameDefinition
+ * @property {any} [gameClass] A room.io Game class
+ * @property {number} [minPlayers] The minimum number (included) of players to start the game
+ * @property {number} [maxPlayers] The maximum number (included) of players to start the game
+ * @property {any} [defaultPlayerData] The default data attributed to players if not provided otherwise
+ * @property {any} [defaultRoomSettings] The default room settings set when creating the room
+ * @property {Array.<ActionDescriptor>} [actions] List of game actions
+ * @property {(ValidationCallback|Object)} [playerDataValidator] Function or schema to validate the player data
+ * @property {(ValidationCallback|Object)} [roomSettingsValidator] Function or schema to validate the room settings
+ * @property {ValidationCallback} [roomSettingsChecker] Function to check the room settings compatibility
  */
 
 /**
@@ -27,11 +107,32 @@ const Server = require('./lib/Server')
  * @property {any} defaultPlayerData The default data attributed to players if not provided otherwise
  * @property {any} defaultRoomSettings The default room settings set when creating the room
  * @property {Array.<ActionDescriptor>} [actions=[]] List of game actions
- * @property {ValidationCallback} [playerDataValidator] Function to validate the player data
- * @property {ValidationCallback} [roomSettingsValidator] Function to validate the room settings
+ * @property {(ValidationCallback|Object)} [playerDataValidator] Function or schema to validate the player data
+ * @property {(ValidationCallback|Object)} [roomSettingsValidator] Function or schema to validate the room settings
  * @property {ValidationCallback} [roomSettingsChecker] Function to check the room settings compatibility
  * @property {LoggerConfig} [logger] Logger configuration
  * @property {number} [maxNameLength=10] Maximum number of characters for player names
+ * @property {('keep'|'lobby'|'destroy')} [gameErrorPolicy='keep'] What to do with a room whose game code throws an exception
+ * @property {('none'|'oldest'|'random'|HostChooserCallback)} [hostMigration='none'] How to choose a new host when the host leaves
+ * @property {number} [maxSpectators=0] Maximum number of spectators per room
+ * @property {Boolean} [allowLateJoin=false] Whether players can join a room whose game is started
+ * @property {number} [reconnectTimeout=0] Number of seconds disconnected players keep their slot in their room (0 to disable)
+ * @property {string} [reconnectSecret] Secret used to sign the reconnection tokens with HMAC-SHA256
+ * @property {AuthenticateCallback} [authenticate] Function authenticating the sockets, run as a socket.io middleware
+ * @property {number} [codeLength=6] Number of characters of the room codes
+ * @property {string} [codeAlphabet='0123456789ABCDEF'] Characters used in the room codes
+ * @property {Function} [codeGenerator] Custom function returning a room code, used instead of codeLength and codeAlphabet
+ * @property {(Array.<string>|Function)} [roomListSettings=[]] Room settings keys shown in the public room list, or a function projecting the settings
+ * @property {MatchmakingConfig} [matchmaking] Matchmaking queue configuration
+ * @property {PasswordThrottleConfig} [passwordThrottle] Throttling of the wrong room passwords
+ * @property {Boolean} [requireReady=false] Whether all the players must be ready before the host can start the game
+ * @property {number} [autoStartCountdown=0] Number of seconds of the countdown starting the game once all the players are ready (0 to disable)
+ * @property {ChatConfig} [chat] Chat configuration
+ * @property {RateLimitConfig} [rateLimit] Rate limits of the commands sent by each socket
+ * @property {Object.<string, GameDefinition>} [games] Game types hosted by the server, whose missing fields fall back to the top-level options
+ * @property {string} [path='/socket.io'] Path of the socket.io server, to tell apart several servers sharing an HTTP server
+ * @property {string} [namespace='/'] socket.io namespace the clients connect to. It does not tell apart servers sharing an HTTP server, unlike the path
+ * @property {Object} [socketOptions] Options passed to the socket.io server (transports, cors, pingTimeout, maxHttpBufferSize...)
  */
 
 /**
@@ -51,5 +152,7 @@ function createServer(config)
 }
 
 module.exports = {
-    createServer
+    createServer,
+    validateSchema,
+    ValidationError
 }
\ No newline at end of file
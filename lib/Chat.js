@@ -0,0 +1,158 @@
+'use strict'
+
+const MAX_LENGTH = 200
+const HISTORY_SIZE = 50
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {(string|null)} playerId the sender public ID, null for system messages
+ * @property {(string|null)} name the sender name, null for system messages
+ * @property {string} text the message
+ * @property {Boolean} system whether the message was sent by the game
+ * @property {number} timestamp the time the message was sent
+ */
+
+/**
+ * Chat of the rooms. Each room keeps a bounded history of its messages, replayed to the reconnecting players.
+ */
+class Chat
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * socket.io object
+     * @type {io.Server}
+     */
+    #io = null
+
+    /**
+     * @type {winston.Logger}
+     */
+    #logger = null
+
+    /**
+     * Maximum number of characters of a message
+     * @type {number}
+     */
+    #maxLength = MAX_LENGTH
+
+    /**
+     * Number of messages kept in the history of each room
+     * @type {number}
+     */
+    #historySize = HISTORY_SIZE
+
+    /**
+     * Function receiving a message and its sender, and returning the message to send or false to reject it
+     * @type {(Function|null)}
+     */
+    #filter = null
+
+    /**
+     * Message history of each room, indexed by room ID
+     * @type {Map.<string, Array.<ChatMessage>>}
+     */
+    #histories = new Map()
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    constructor({ io, logger, maxLength = MAX_LENGTH, historySize = HISTORY_SIZE, filter = null })
+    {
+        this.#io = io
+        this.#logger = logger
+        this.#maxLength = maxLength
+        this.#historySize = historySize
+        this.#filter = filter
+    }
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * Tells if the given message is a non-empty string within the length limit
+     * @param {any} text the message
+     * @returns {Boolean} true if the message is valid
+     */
+    validate(text)
+    {
+        return (typeof text === 'string') && text.trim().length > 0 && text.length <= this.#maxLength
+    }
+
+    /**
+     * Run the message filter hook, if any
+     * @param {string} text the message
+     * @param {Object} sender the sender public ID and name
+     * @returns {(string|null)} the message to send, or null if the filter rejected it
+     */
+    filter(text, sender)
+    {
+        if (!(this.#filter instanceof Function))
+        {
+            return text
+        }
+
+        const filtered = this.#filter(text, sender)
+        return (typeof filtered === 'string') ? filtered : null
+    }
+
+    /**
+     * Send a message to all the players and spectators of a room, and keep it in the room history
+     * @param {string} roomId the room ID
+     * @param {(PlayerObj|null)} sender the sender, null for system messages
+     * @param {string} text the message
+     * @emits chatMessage
+     */
+    post(roomId, sender, text)
+    {
+        const message = {
+            playerId: sender ? sender.publicId : null,
+            name: sender ? sender.name : null,
+            text,
+            system: !sender,
+            timestamp: Date.now()
+        }
+
+        // Keep the message in the history
+        const history = this.#histories.get(roomId) || []
+        history.push(message)
+        this.#histories.set(roomId, history.slice(-this.#historySize))
+
+        this.#logger.debug(`Chat message from ${message.playerId || 'the game'}: ${text}`, { room: roomId })
+
+        // Broadcast the message
+        this.#io.to(roomId).emit('chatMessage', message)
+    }
+
+    /**
+     * Send the message history of a room to a player
+     * @param {Socket} socket the player socket
+     * @param {string} roomId the room ID
+     * @emits chatHistory
+     */
+    replay(socket, roomId)
+    {
+        const history = this.#histories.get(roomId)
+        if (history)
+        {
+            socket.emit('chatHistory', history)
+        }
+    }
+
+    /**
+     * Forget the message history of a room, once it is destroyed
+     * @param {string} roomId the room ID
+     */
+    clear(roomId)
+    {
+        this.#histories.delete(roomId)
+    }
+}
+
+module.exports = Chat
\ No newline at end of file
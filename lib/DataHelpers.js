@@ -1,6 +1,17 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const CODE_LENGTH = 6
+const CODE_ALPHABET = '0123456789ABCDEF'
+const TOKEN_BYTES = 32
+
+/**
+ * Signs a reconnection token nonce with the server secret
+ */
+const signToken = (nonce, secret) => {
+    return crypto.createHmac('sha256', secret).update(nonce).digest('base64url')
+}
 
 /* eslint-disable no-magic-numbers */
 
@@ -13,21 +24,47 @@ module.exports = {
             return value === true || value === false
         },
 
+        visibility: (visibility) => {
+            return visibility === 'public' || visibility === 'private'
+        },
+
         playerName: (playerName) => {
             return (playerName && (typeof playerName === 'string') && playerName.trim().length)
         },
 
-        code: (code) => {
-            return (code && (typeof code === 'string') && code.trim().length === CODE_LENGTH)
+        code: (code, { length = CODE_LENGTH, alphabet = CODE_ALPHABET } = {}) => {
+            return (typeof code === 'string') && code.length === length && [...code].every((char) => alphabet.includes(char))
+        },
+
+        reconnectToken: (token, secret) => {
+            if (!token || typeof token !== 'string')
+            {
+                return false
+            }
+            if (!secret)
+            {
+                return true
+            }
+
+            // Check the token signature
+            const [nonce, signature = ''] = token.split('.')
+            const signatureBuffer = Buffer.from(signature)
+            const expectedBuffer = Buffer.from(signToken(nonce, secret))
+            return signatureBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(signatureBuffer, expectedBuffer)
         },
     },
 
     generate:
     {
-        roomCode: () => {
-            return Array(CODE_LENGTH).fill().map(() => {
-                return (Math.random() * 16 | 0).toString(16).toUpperCase()
+        roomCode: ({ length = CODE_LENGTH, alphabet = CODE_ALPHABET } = {}) => {
+            return Array(length).fill().map(() => {
+                return alphabet[crypto.randomInt(alphabet.length)]
             }).join('')
         },
+
+        reconnectToken: (secret) => {
+            const nonce = crypto.randomBytes(TOKEN_BYTES).toString('base64url')
+            return secret ? `${nonce}.${signToken(nonce, secret)}` : nonce
+        },
     }
 }
\ No newline at end of file
@@ -14,6 +14,23 @@ const errors =
     wrongPlayerCount : { code: 'err_107', serverLog: 'There are too many or too few players' },
     missingCallback : { code: 'err_108', serverLog: 'Missing callback with the event name in the Game instance' },
     incompatibleSettings : { code: 'err_109', serverLog: 'The entered settings are not compatible with the number of players' },
+    actionFailed : { code: 'err_110', serverLog: 'The asynchronous game action was rejected' },
+    gameError : { code: 'err_111', serverLog: 'The game instance threw an error' },
+    playerNotFound : { code: 'err_112', serverLog: 'Impossible to find that player in the room' },
+    spectator : { code: 'err_113', serverLog: 'You cannot do this action because you are a spectator' },
+    tooManySpectators : { code: 'err_114', serverLog: 'The room cannot accept more spectators' },
+    lateJoinRefused : { code: 'err_115', serverLog: 'The game refused to let you join' },
+    roomCodeUnavailable : { code: 'err_116', serverLog: 'Impossible to find an unused room code' },
+    alreadyInQueue : { code: 'err_117', serverLog: 'You cannot do this action because you are already in the matchmaking queue' },
+    notInQueue : { code: 'err_118', serverLog: 'You cannot do this action because you are not in the matchmaking queue' },
+    tooManyAttempts : { code: 'err_119', serverLog: 'Too many failed attempts, try again later' },
+    banned : { code: 'err_120', serverLog: 'You cannot join this room because you are banned from it' },
+    playersNotReady : { code: 'err_121', serverLog: 'You cannot start the game until all the players are ready' },
+    rateLimited : { code: 'err_122', serverLog: 'You are sending too many requests, slow down' },
+    unknownAction : { code: 'err_123', serverLog: 'This action does not belong to the game of your room' },
+    actionForbidden : { code: 'err_124', serverLog: 'You are not allowed to do this action' },
+    unauthenticated : { code: 'err_125', serverLog: 'You must be authenticated to connect' },
+    accountAlreadyInRoom : { code: 'err_126', serverLog: 'You cannot join this room because your account is already in it' },
 
     invalid : {
         playerName: { code: 'err_200', serverLog: 'Invalid player name' },
@@ -21,6 +38,11 @@ const errors =
         code: { code: 'err_202', serverLog: 'Invalid room code' },
         roomSettings: { code: 'err_203', serverLog: 'Invalid room settings' },
         input: { code: 'err_204', serverLog: 'Invalid user input' },
+        reconnectToken: { code: 'err_205', serverLog: 'Invalid reconnection token' },
+        visibility: { code: 'err_206', serverLog: 'Invalid room visibility' },
+        password: { code: 'err_207', serverLog: 'Invalid room password' },
+        chatMessage: { code: 'err_208', serverLog: 'Invalid chat message' },
+        gameType: { code: 'err_209', serverLog: 'Invalid game type' },
     },
 }
 
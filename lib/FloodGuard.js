@@ -0,0 +1,122 @@
+'use strict'
+
+const RateLimiter = require('./RateLimiter')
+
+const MAX_VIOLATIONS = 10
+const VIOLATION_INTERVAL = 10
+const VIOLATIONS = 'violations'
+
+/**
+ * Throttles the commands sent by each socket, with a token bucket per socket and command.
+ * Sockets that keep exceeding their rate limits are reported as flooding.
+ */
+class FloodGuard
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Rate limit of the built-in commands without their own. Built-in commands are not throttled by default.
+     * @type {(RateLimit|null)}
+     */
+    #defaultRateLimit = null
+
+    /**
+     * Rate limit of the game actions without their own. Actions are not throttled by default.
+     * @type {(RateLimit|null)}
+     */
+    #actionRateLimit = null
+
+    /**
+     * Rate limits of the commands, indexed by command name. A null rate limit disables throttling.
+     * @type {Object.<string, (RateLimit|null)>}
+     */
+    #commands = {}
+
+    /**
+     * Budget of throttled commands of a socket before it is reported as flooding
+     * @type {RateLimit}
+     */
+    #violationLimit = { limit: MAX_VIOLATIONS, interval: VIOLATION_INTERVAL }
+
+    /**
+     * Buckets of the commands
+     * @type {RateLimiter}
+     */
+    #requests = new RateLimiter()
+
+    /**
+     * Buckets of the throttled commands
+     * @type {RateLimiter}
+     */
+    #violations = new RateLimiter()
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    constructor({
+        default: defaultRateLimit = null,
+        actions: actionRateLimit = null,
+        commands = {},
+        maxViolations = MAX_VIOLATIONS,
+        violationInterval = VIOLATION_INTERVAL
+    } = {})
+    {
+        this.#defaultRateLimit = defaultRateLimit
+        this.#actionRateLimit = actionRateLimit
+        this.#commands = commands
+        this.#violationLimit = { limit: maxViolations, interval: violationInterval }
+    }
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * Take a token from the bucket of a socket command
+     * @param {string} socketId the socket ID
+     * @param {string} name the command name
+     * @param {(ActionDescriptor|null)} [action] the action descriptor, if the command is a game action
+     * @returns {Boolean} true if the command is allowed, false if the socket exceeded the rate limit
+     */
+    allow(socketId, name, action = null)
+    {
+        let limit = action ? this.#actionRateLimit : this.#defaultRateLimit
+        if (action && action.rateLimit !== undefined)
+        {
+            limit = action.rateLimit
+        }
+        else if (Object.hasOwn(this.#commands, name))
+        {
+            limit = this.#commands[name]
+        }
+
+        return !limit || this.#requests.consume(socketId, name, limit)
+    }
+
+    /**
+     * Count a throttled command of a socket
+     * @param {string} socketId the socket ID
+     * @returns {Boolean} true if the socket keeps exceeding its rate limits and must be disconnected
+     */
+    strike(socketId)
+    {
+        return !this.#violations.consume(socketId, VIOLATIONS, this.#violationLimit)
+    }
+
+    /**
+     * Forget the buckets of a socket, once it is disconnected
+     * @param {string} socketId the socket ID
+     */
+    forget(socketId)
+    {
+        this.#requests.forget(socketId)
+        this.#violations.forget(socketId)
+    }
+}
+
+module.exports = FloodGuard
\ No newline at end of file
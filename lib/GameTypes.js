@@ -0,0 +1,126 @@
+'use strict'
+
+/**
+ * @typedef {Object} GameDefinition
+ * @property {any} gameClass the game class
+ * @property {number} minPlayers the minimum number (included) of players to start the game
+ * @property {number} maxPlayers the maximum number (included) of players to start the game
+ * @property {any} defaultPlayerData the default player data
+ * @property {any} defaultRoomSettings the default room settings
+ * @property {Array.<ActionDescriptor>} actions the game actions
+ * @property {(Function|Object)} playerDataValidator function or schema validating the player data
+ * @property {(Function|Object)} roomSettingsValidator function or schema validating the room settings
+ * @property {Function} roomSettingsChecker function checking the room settings compatibility with the players
+ */
+
+/**
+ * Game types hosted by a server. Each room plays one of them.
+ * Servers configured with a single game get a single game type, named "default".
+ */
+class GameTypes
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Game definitions, indexed by game type, in declaration order
+     * @type {Map.<string, GameDefinition>}
+     */
+    #games = new Map()
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    /**
+     * @param {(Object.<string, Object>|null)} games the game definitions, indexed by game type
+     * @param {GameDefinition} defaults the values of the fields missing from the game definitions
+     */
+    constructor(games, defaults)
+    {
+        Object.entries(games || { default: {} }).forEach(([gameType, definition]) =>
+        {
+            this.#games.set(gameType, { ...defaults, ...definition })
+        })
+    }
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * The game type of the rooms created without one: the first declared game type
+     * @type {string}
+     */
+    get defaultType()
+    {
+        return this.#games.keys().next().value
+    }
+
+    /**
+     * Tells if the given game type exists
+     * @param {any} gameType the game type
+     * @returns {Boolean} true if the game type exists
+     */
+    has(gameType)
+    {
+        return (typeof gameType === 'string') && this.#games.has(gameType)
+    }
+
+    /**
+     * Get the definition of a game type
+     * @param {string} gameType the game type
+     * @returns {GameDefinition} the game definition
+     */
+    get(gameType)
+    {
+        return this.#games.get(gameType)
+    }
+
+    /**
+     * Get an action of a game type
+     * @param {string} gameType the game type
+     * @param {string} name the action name
+     * @returns {(ActionDescriptor|null)} the action descriptor, or null if the game has no such action
+     */
+    getAction(gameType, name)
+    {
+        return this.get(gameType).actions.find((action) => action.name === name) || null
+    }
+
+    /**
+     * Get the names of the actions of all the game types, without duplicates
+     * @returns {Array.<string>} the action names
+     */
+    getActionNames()
+    {
+        const names = [...this.#games.values()].flatMap(({ actions }) => actions.map(({ name }) => name))
+        return [...new Set(names)]
+    }
+
+    /**
+     * Get the validators of all the game types given as schemas, so that clients can validate their inputs before sending them
+     * @returns {Object.<string, { playerData: ?Object, roomSettings: ?Object, actions: Object.<string, Object> }>} the schemas,
+     * indexed by game type, with the schemas of the actions indexed by action name
+     */
+    getSchemas()
+    {
+        const isSchema = (validator) => !!validator && !(validator instanceof Function)
+
+        return Object.fromEntries([...this.#games].map(([gameType, { playerDataValidator, roomSettingsValidator, actions }]) => [
+            gameType,
+            {
+                playerData: isSchema(playerDataValidator) ? playerDataValidator : null,
+                roomSettings: isSchema(roomSettingsValidator) ? roomSettingsValidator : null,
+                actions: Object.fromEntries(actions
+                    .filter(({ inputValidator }) => isSchema(inputValidator))
+                    .map(({ name, inputValidator }) => [name, inputValidator]))
+            }
+        ]))
+    }
+}
+
+module.exports = GameTypes
\ No newline at end of file
@@ -1,269 +1,1359 @@
 const uuid = require('uuid')
 
-let io = null
-let players = null
-let rooms = null
-let logger = null
-
-const Helpers = {
-
-    init(params) {
-        io = params.io
-        players = params.players
-        rooms = params.rooms
-        logger = params.logger
-    },
-
-    sendError(socket, error, args = {}) {
-        logger.error(`Sending error => ${error.serverLog}`, { socket: socket.id })
-        
-        if (error.code)
-        {
-            socket.emit('error', {
-                code: error.code,
-                args
-            })
-        }
-    },
+const Errors = require('./Errors')
+const RoomPusher = require('./RoomPusher')
+const { validate, generate } = require('./DataHelpers')
+const { runValidator } = require('./Schema')
 
-    replyError(socket, query, error, args = {}) {
-        logger.error(`Replying error => ${error.serverLog}`, { socket: socket.id })
-        
-        if (error.code)
-        {
-            socket.emit(query + '_error', {
-                code: error.code,
-                args
-            })
-        }
-    },
+const MS_PER_SECOND = 1000
+const ROOM_LIST = 'roomList'
 
-    reply(socket, query, params) {
-        socket.emit(query + '_response', params)
-    },
+/**
+ * Creates the helpers of a server: the connection, disconnection, leave and destroy logic of its rooms.
+ * The helpers are bound to the given io namespace, registry and options, so that several servers can run in the same process.
+ * @param {Object} options the server io namespace, registry, logger, chat, game types and settings
+ * @returns {Object} the helpers
+ */
+function createHelpers(options)
+{
+    const io = options.io
+    const registry = options.registry
+    const players = registry.players
+    const rooms = registry.rooms
+    const logger = options.logger
+    const gameErrorPolicy = options.gameErrorPolicy || 'keep'
+    const hostMigration = options.hostMigration || 'none'
+    const reconnectTimeout = options.reconnectTimeout || 0
+    const reconnectSecret = options.reconnectSecret || null
+    const games = options.games
+    const autoStartCountdown = options.autoStartCountdown || 0
+    const roomListSettings = options.roomListSettings || []
+    const chat = options.chat
+    let roomListPending = false
 
     /**
-     * Connects the socket to the server by creating a player in the players list.
-     * It also handles cases of reconnection.
-     * @param {Socket} socket client socket
-     * @emits reconnected event sent to the player in the case of a reconnection
-     * @emits registered event sent if the connection succeeds. It is sent after "reconnection" in the case of a reconnection.
-     *                   The "registered" event sends the player public ID as a parameter.
+     * Reconnection tokens, associated with the player private ID (socket ID)
+     * @type {Map.<string, string>}
      */
-    connect(socket) {
-        // Try to retreive the former player, if this is a reconnexion
-        const oldPlayerID = socket.handshake.query ? socket.handshake.query.playerID : null
-        const oldPlayer = oldPlayerID ? players[oldPlayerID] : null
+    const reconnectTokens = new Map()
 
-        // Case of re-connection
-        if (oldPlayer && oldPlayer.online === false && oldPlayer.roomId !== null && rooms[oldPlayer.roomId])
-        {
-            logger.info(`reconnected`, { socket: socket.id })
+    const Helpers = {
 
-            // Create a new player with all the old player infos
-            // except the new socket instance and the online boolean back to true
-            players[socket.id] = {
-                ...oldPlayer,
-                socket,
-                online: true
+        sendError(socket, error, args = {}) {
+            logger.error(`Sending error => ${error.serverLog}`, { socket: socket.id })
+        
+            if (error.code)
+            {
+                socket.emit('error', {
+                    code: error.code,
+                    args
+                })
+            }
+        },
+
+        replyError(socket, query, error, args = {}) {
+            logger.error(`Replying error => ${error.serverLog}`, { socket: socket.id })
+        
+            if (error.code)
+            {
+                socket.emit(query + '_error', {
+                    code: error.code,
+                    args
+                })
             }
+        },
+
+        reply(socket, query, params) {
+            socket.emit(query + '_response', params)
+        },
 
-            // Remove the former player
-            delete players[oldPlayerID]
+        /**
+         * Gets the name of the io room gathering the sockets subscribed to the public room list
+         * @returns {String} the room list io room name
+         */
+        roomListRoom() {
+            return ROOM_LIST
+        },
+
+        /**
+         * Warns the players of a room that it changed, as well as the room list subscribers if the room is public
+         * @param {String} roomId the room ID
+         * @emits roomUpdated event sent to all the players in the room
+         */
+        roomUpdated(roomId) {
+            io.to(roomId).emit('roomUpdated')
+            Helpers.notifyRoomList(rooms[roomId])
+            Helpers.updateCountdown(roomId)
+        },
+
+        /**
+         * Warns the room list subscribers that a public room changed.
+         * The notifications are batched: subscribers receive a single event per event loop iteration.
+         * @param {RoomObj} room the room
+         * @emits roomListUpdated event sent to all the room list subscribers
+         */
+        notifyRoomList(room) {
+            if (!room || room.visibility !== 'public' || roomListPending)
+            {
+                return
+            }
 
-            // Change the player list of the room
-            const room = rooms[oldPlayer.roomId]
-            room.players = room.players.map((playerID) =>
+            roomListPending = true
+            setImmediate(() =>
             {
-                return playerID === oldPlayerID ? socket.id : playerID
+                roomListPending = false
+                io.to(ROOM_LIST).emit('roomListUpdated')
             })
+        },
 
-            // Update the room pusher if the game has started
-            if (room.gameInstance !== null)
+        /**
+         * Lists the public lobbies matching the given filter, in creation order
+         * @param {Object} filter the filter
+         *      - {Boolean} notFull: only list the rooms that are not full
+         *      - {String} gameType: only list the rooms of the given game type
+         *      - {Object} settings: only list the rooms whose listed settings have the given values
+         * @returns {Array.<Object>} the rooms, formatted for the public room list
+         */
+        listRooms({ notFull = false, gameType = null, settings = {} }) {
+            return registry.getPublicRoomIds()
+                .map((roomId) => rooms[roomId])
+                .filter((room) => room.gameInstance === null)
+                .map((room) => Helpers.formatListedRoom(room))
+                .filter((room) =>
+                {
+                    return (!notFull || room.playerCount < room.maxPlayers)
+                        && (gameType === null || room.gameType === gameType)
+                        && Object.keys(settings).every((key) => room.settings[key] === settings[key])
+                })
+        },
+
+        /**
+         * Formats a room for the public room list. Only the settings chosen by the "roomListSettings" option are shown.
+         * @param {RoomObj} room the room
+         * @returns {Object} the listed room
+         */
+        formatListedRoom(room) {
+            const host = players[room.host]
+            const settings = (roomListSettings instanceof Function)
+                ? roomListSettings(room.settings)
+                : roomListSettings.reduce((acc, key) =>
+                {
+                    if (room.settings && Object.prototype.hasOwnProperty.call(room.settings, key))
+                    {
+                        acc[key] = room.settings[key]
+                    }
+                    return acc
+                }, {})
+
+            return {
+                code: room.code,
+                gameType: room.gameType,
+                hostName: host ? host.name : '',
+                playerCount: room.players.size,
+                maxPlayers: games.get(room.gameType).maxPlayers,
+                hasPassword: room.passwordHash !== null,
+                settings
+            }
+        },
+
+        /**
+         * Gets the name of the io room gathering the spectators of a room
+         * @param {String} roomId the room ID
+         * @returns {String} the spectators io room name
+         */
+        spectatorsRoom(roomId) {
+            return `${roomId}/spectators`
+        },
+
+        /**
+         * Connects the socket to the server by creating a player in the players list.
+         * It also handles cases of reconnection, for sockets providing their reconnection token in the "reconnectToken" handshake query.
+         * @param {Socket} socket client socket
+         * @emits reconnected event sent to the player in the case of a reconnection
+         * @emits error event sent if the reconnection token is invalid. The player is then registered as a new player.
+         * @emits registered event sent if the connection succeeds. It is sent after "reconnection" in the case of a reconnection.
+         *                   The "registered" event sends the player public ID and a new reconnection token as parameters.
+         */
+        connect(socket) {
+            const { userId, profile } = socket.data.user || { userId: null, profile: null }
+
+            // Only the seats of disconnected players can be taken back : the players who left a running game are still connected
+            const isSuspended = (player) =>
+            {
+                return !!player && player.online === false && !player.socket.connected && player.roomId !== null && !!rooms[player.roomId]
+            }
+
+            // Try to retreive the former player, if this is a reconnexion.
+            // Authenticated users get back their former player without token.
+            const token = socket.handshake.query ? socket.handshake.query.reconnectToken : null
+            let oldPlayerID = validate.reconnectToken(token, reconnectSecret) ? reconnectTokens.get(token) : null
+            if (userId !== null)
             {
-                room.gameInstance.roomPusher.sockets[oldPlayer.publicId] = socket
+                oldPlayerID = registry.getPlayerIdsFromUserId(userId).find((playerId) => isSuspended(players[playerId])) || null
             }
+            const oldPlayer = oldPlayerID ? players[oldPlayerID] : null
+
+            // Case of re-connection
+            if (isSuspended(oldPlayer))
+            {
+                logger.info(`reconnected`, { socket: socket.id })
 
-            // Make the player rejoin the io room
-            socket.join(oldPlayer.roomId)
+                // Stop the reconnection timer
+                clearTimeout(oldPlayer.reconnectTimer)
 
-            // Warn the other players that the playeer is reconnected
-            io.to(oldPlayer.roomId).emit('playerRejoined', { playerId: oldPlayer.publicId, name: oldPlayer.name })
+                // Replace the former player with a new player with all the old player infos
+                // except the new socket instance, the online boolean back to true and the up-to-date user profile
+                registry.replacePlayer(oldPlayerID, socket.id, {
+                    ...oldPlayer,
+                    socket,
+                    online: true,
+                    reconnectTimer: null,
+                    profile
+                })
+                reconnectTokens.delete(oldPlayer.reconnectToken)
+                const room = rooms[oldPlayer.roomId]
 
-            // Send an event to the player
-            socket.emit('reconnected')
-        }
-        // Case of a new player
-        else
-        {
-            logger.info(`connected`, { socket: socket.id })
-
-            // Register the new player
-            players[socket.id] = {
-                socket,
-                publicId: `player_${uuid.v4()}`,
-                name: '',
-                data: {},
-                roomId: null,
-                online: true
+                // Update the room pusher if the game has started
+                if (room.roomPusher !== null)
+                {
+                    room.roomPusher.sockets[oldPlayer.publicId] = socket
+                }
+
+                // Make the player rejoin the io room
+                socket.join(oldPlayer.roomId)
+
+                // Warn the other players that the playeer is reconnected
+                io.to(oldPlayer.roomId).emit('playerRejoined', { playerId: oldPlayer.publicId, name: oldPlayer.name })
+                if (room.gameInstance === null)
+                {
+                    Helpers.roomUpdated(oldPlayer.roomId)
+                }
+
+                // Send an event to the player, along with the chat history
+                socket.emit('reconnected')
+                chat.replay(socket, oldPlayer.roomId)
+
+                // Tell the game instance
+                Helpers.callGameHook(oldPlayer.roomId, 'onPlayerRejoined', { playerId: oldPlayer.publicId })
             }
-        }
+            // Case of a new player
+            else
+            {
+                logger.info(`connected`, { socket: socket.id })
 
-        // Tell the player that they are registered
-        socket.emit('registered', players[socket.id].publicId)
-    },
-    
-    /**
-     * Handles a socket disconnection.
-     * @param {Socket} socket client socket
-     */
-    disconnect (socket) {
-        logger.info(`disconnected`, { socket: socket.id })
-
-        // If the player is in a room : leave the room
-        const player = players[socket.id]
-        if (player.roomId && rooms[player.roomId])
-        {
-            // Leave the room
-            Helpers.leaveRoom(socket.id, true)
-        }
-        // If the player is not in a room : remove the player
-        else
-        {
-            // Remove the player
-            delete players[socket.id]
-        }
-    },
+                // Reject the reconnection attempt
+                if (token)
+                {
+                    Helpers.sendError(socket, Errors.invalid.reconnectToken)
+                }
 
-    /**
-     * Make a player leave his/her room. It behaves differently if the game instance is started or not.
-     * It automatically destroys the room in these situations:
-     *      - the game is not started and the host is leaving
-     *      - the game is started and the last player leaves the room
-     * The player can also be removed from the player list if the game instance is not started and if "removePlayer" is set to true
-     * @param {String} playerId player private ID (socket ID)
-     * @param {Boolean} removePlayer Tells if the player should be removed after leaving the room
-     * @emits playerLeft event sent to all the remaining players in the room, if the game instance is started. The leaving player's public ID is sent as parameter
-     * @emits roomUpdated event sent to all the remaining players in the room, if the game instance is not started
-     */
-    leaveRoom(playerId, removePlayer) {
-        logger.room(`${playerId} is leaving their room`)
-
-        // Get the player and the room
-        const player = players[playerId]
-        const room = (player && player.roomId) ? rooms[player.roomId] : null
-        if (!player || !room)
-        {
-            return
-        }
+                // Register the new player
+                registry.addPlayer(socket.id, {
+                    socket,
+                    publicId: `player_${uuid.v4()}`,
+                    name: '',
+                    data: {},
+                    roomId: null,
+                    online: true,
+                    spectator: false,
+                    ready: false,
+                    reconnectTimer: null,
+                    reconnectToken: null,
+                    userId,
+                    profile
+                })
+            }
 
-        const roomId = player.roomId
+            // Issue a new reconnection token
+            const newToken = generate.reconnectToken(reconnectSecret)
+            players[socket.id].reconnectToken = newToken
+            reconnectTokens.set(newToken, socket.id)
 
-        // Case 1 : the game has started
-        if (room.gameInstance !== null)
-        {
-            // Set player offline
-            player.online = false
+            // Tell the player that they are registered
+            socket.emit('registered', players[socket.id].publicId, newToken)
+        },
 
-            // Check if there are online players left
-            const stillOnlinePlayers = room.players.filter((pId) =>
+        /**
+         * Removes a player from the players list, along with their reconnection timer and token
+         * @param {String} playerId player private ID (socket ID)
+         */
+        removePlayer(playerId) {
+            const player = players[playerId]
+            if (player)
             {
-                return players[pId].online === true
-            })
+                clearTimeout(player.reconnectTimer)
+                reconnectTokens.delete(player.reconnectToken)
+                registry.removePlayer(playerId)
+            }
+        },
+
+        /**
+         * Takes a player out of their room for good. A disconnected player is removed, while a player whose socket is
+         * still connected (e.g. who left a running game) stays registered, out of any room.
+         * @param {String} playerId player private ID (socket ID)
+         */
+        releasePlayer(playerId) {
+            const player = players[playerId]
+            const roomId = player.roomId
 
-            // Case 1.1 : there are still online players in the room
-            if (stillOnlinePlayers.length)
+            // Remove the player from the room
+            registry.leaveRoom(playerId)
+
+            // Leave the io rooms
+            player.socket.leave(roomId)
+            player.socket.leave(Helpers.spectatorsRoom(roomId))
+
+            if (player.socket.connected)
             {
-                // Warn the other players that this player left
-                io.to(roomId).emit('playerLeft', { playerId: player.publicId, name: player.name })
+                player.online = true
             }
-            // Case 1.2 : there is no more online players
             else
             {
-                // Destroy the room
-                Helpers.destroyRoom(roomId)
+                Helpers.removePlayer(playerId)
             }
-        }
-        // Case 2 : the game hasn't started yet (players are in the lobby)
-        else
-        {
-            const isHost = room.host === playerId
+        },
+
+        /**
+         * Formats a player for the game instance
+         * @param {String} playerId player private ID (socket ID)
+         * @returns {Object} the player public ID, name and data, and the user ID and profile if the server authenticates its users
+         */
+        formatPlayer(playerId) {
+            const { publicId, name, data, userId, profile } = players[playerId]
+            return { publicId, name, data, userId, profile }
+        },
+
+        /**
+         * Checks that a player can enter a room: they must not be banned from it,
+         * and their account must not already be in it with another socket
+         * @param {String} playerId player private ID (socket ID)
+         * @param {String} roomId the room ID
+         * @returns {(Object|null)} the error if the player cannot enter the room, null otherwise
+         */
+        checkAccess(playerId, roomId) {
+            const { publicId, userId } = players[playerId]
+            const room = rooms[roomId]
 
-            // Case 2.1 : the leaving player is the host
-            if (isHost)
+            if (room.bannedIds.has(publicId) || (userId !== null && room.bannedUserIds.has(userId)))
             {
-                // Destroy the room
-                Helpers.destroyRoom(roomId)
+                return Errors.banned
+            }
+            if (registry.getPlayerIdsFromUserId(userId).some((otherId) => otherId !== playerId && players[otherId].roomId === roomId))
+            {
+                return Errors.accountAlreadyInRoom
+            }
+            return null
+        },
+    
+        /**
+         * Handles a socket disconnection.
+         * If a reconnection timeout is configured, players in a room keep their slot until it expires.
+         * @param {Socket} socket client socket
+         */
+        disconnect (socket) {
+            logger.info(`disconnected`, { socket: socket.id })
+
+            // If the player is in a room : leave the room
+            const player = players[socket.id]
+            if (player.roomId && rooms[player.roomId])
+            {
+                if (reconnectTimeout > 0 && !player.spectator)
+                {
+                    // Keep the player slot for a while
+                    Helpers.suspendPlayer(socket.id)
+                }
+                else
+                {
+                    // Leave the room
+                    Helpers.leaveRoom(socket.id, true)
+                }
+            }
+            // If the player is not in a room : remove the player
+            else
+            {
+                // Remove the player
+                Helpers.removePlayer(socket.id)
+            }
+        },
+
+        /**
+         * Make a player leave his/her room. It behaves differently if the game instance is started or not.
+         * If the leaving player is the host, the host role is migrated to another online player according to the host migration policy.
+         * It automatically destroys the room in these situations:
+         *      - the game is not started, the host is leaving and no other player can become host
+         *      - the game is started and the last player leaves the room
+         * The player can also be removed from the player list if the game instance is not started and if "removePlayer" is set to true
+         * Spectators simply leave the room, whatever its state
+         * @param {String} playerId player private ID (socket ID)
+         * @param {Boolean} removePlayer Tells if the player should be removed after leaving the room
+         * @emits playerLeft event sent to all the remaining players in the room, if the game instance is started. The leaving player's public ID is sent as parameter
+         * @emits roomUpdated event sent to all the remaining players in the room, if the game instance is not started
+         */
+        leaveRoom(playerId, removePlayer) {
+            logger.room(`${playerId} is leaving their room`)
+
+            // Get the player and the room
+            const player = players[playerId]
+            const room = (player && player.roomId) ? rooms[player.roomId] : null
+            if (!player || !room)
+            {
+                return
+            }
+
+            const roomId = player.roomId
+
+            // Spectators leave without affecting the game
+            if (player.spectator)
+            {
+                Helpers.leaveAsSpectator(playerId, removePlayer)
             }
-            // Case 2.2 : the leaving player is not the host
+            // Case 1 : the game has started
+            else if (room.gameInstance !== null)
+            {
+                // The player already left the game (e.g. with the leaveRoom command, before disconnecting)
+                if (player.online === false)
+                {
+                    return
+                }
+
+                // Set player offline
+                player.online = false
+
+                // Case 1.1 : there are still online players in the room
+                if (Helpers.hasOnlinePlayers(roomId))
+                {
+                    // Warn the other players that this player left
+                    io.to(roomId).emit('playerLeft', { playerId: player.publicId, name: player.name })
+
+                    // Tell the game instance
+                    Helpers.callGameHook(roomId, 'onPlayerLeft', { playerId: player.publicId })
+
+                    // Hand the host role over to an online player
+                    if (room.host === playerId)
+                    {
+                        Helpers.migrateHost(roomId)
+                    }
+                }
+                // Case 1.2 : there is no more online players
+                else
+                {
+                    // Destroy the room
+                    Helpers.destroyRoom(roomId)
+                }
+            }
+            // Case 2 : the game hasn't started yet (players are in the lobby)
             else
             {
-                // Remove the player from the room
-                room.players = room.players.filter((pId) =>
+                const isHost = room.host === playerId
+
+                // Case 2.1 : the leaving player is the host and no one can replace them
+                if (isHost && !Helpers.migrateHost(roomId, playerId))
                 {
-                    return pId !== playerId
-                })
+                    // Destroy the room
+                    Helpers.destroyRoom(roomId)
+                }
+                // Case 2.2 : the leaving player is not (or no longer) the host
+                else
+                {
+                    // Remove the player from the room
+                    registry.leaveRoom(playerId)
+
+                    // Warn the other players that this player left
+                    Helpers.roomUpdated(roomId)
+
+                    // Leave the io room
+                    player.socket.leave(roomId)
+                }
+
+                if (removePlayer)
+                {
+                    // Remove the player
+                    Helpers.removePlayer(playerId)
+                }
+            }
+        },
+    
+        /**
+         * Tells if some players of the room are online
+         * @param {String} roomId the room ID
+         * @returns {Boolean} true if at least one player is online
+         */
+        hasOnlinePlayers(roomId) {
+            return [...rooms[roomId].players].some((playerId) => players[playerId].online === true)
+        },
+
+        /**
+         * Sets a disconnected player offline while keeping their slot in the room, so that they can reconnect.
+         * The player is removed from the room when the reconnection timeout expires (see timeoutPlayer).
+         * The room is destroyed if no online players are left.
+         * @param {String} playerId player private ID (socket ID)
+         * @emits playerLeft event sent to all the remaining players in the room. The leaving player's public ID is sent as parameter
+         * @emits roomUpdated event sent to all the remaining players in the room, if the game instance is not started
+         */
+        suspendPlayer(playerId) {
+            const player = players[playerId]
+            const roomId = player.roomId
+            const room = rooms[roomId]
+
+            // The game has started : the player is set offline as if they left
+            if (room.gameInstance !== null)
+            {
+                Helpers.leaveRoom(playerId, false)
+            }
+            // The game hasn't started yet : the player is set offline but stays in the lobby
+            else
+            {
+                player.online = false
+
+                if (Helpers.hasOnlinePlayers(roomId))
+                {
+                    io.to(roomId).emit('playerLeft', { playerId: player.publicId, name: player.name })
+                    Helpers.roomUpdated(roomId)
+                }
+                else
+                {
+                    Helpers.destroyRoom(roomId)
+                }
+            }
+
+            // Start the reconnection timer if the player is still in the room
+            if (players[playerId] && rooms[roomId])
+            {
+                player.reconnectTimer = setTimeout(() => Helpers.timeoutPlayer(playerId), reconnectTimeout * MS_PER_SECOND)
+            }
+        },
+
+        /**
+         * Removes for good an offline player whose reconnection timeout expired
+         * @param {String} playerId player private ID (socket ID)
+         * @emits playerTimedOut event sent to all the players in the room. The player's public ID and name are sent as parameter
+         */
+        timeoutPlayer(playerId) {
+            // Get the player and the room
+            const player = players[playerId]
+            if (!player || player.online)
+            {
+                return
+            }
+            const roomId = player.roomId
+            const room = rooms[roomId]
+            if (!room)
+            {
+                Helpers.removePlayer(playerId)
+                return
+            }
 
-                // Warn the other players that this player left
-                io.to(roomId).emit('roomUpdated')
+            logger.room(`${player.publicId} timed out`, { room: roomId })
 
-                // Reset the player room ID
-                player.roomId = null
+            // Warn the players
+            io.to(roomId).emit('playerTimedOut', { playerId: player.publicId, name: player.name })
 
-                // Leave the io room
-                player.socket.leave(roomId)
+            // Remove the player
+            if (room.gameInstance === null)
+            {
+                Helpers.leaveRoom(playerId, true)
+            }
+            else
+            {
+                Helpers.removeFromGame(playerId, 'timeout')
+            }
+        },
+
+        /**
+         * Removes for good a player from a started game. Unlike leaveRoom, the player cannot reconnect.
+         * The player is also removed from the server if their socket is disconnected (see releasePlayer).
+         * @param {String} playerId player private ID (socket ID)
+         * @param {String} reason why the player is removed, forwarded to the game instance
+         */
+        removeFromGame(playerId, reason) {
+            const player = players[playerId]
+            const roomId = player.roomId
+            const room = rooms[roomId]
+
+            // Remove the player from the room
+            delete room.roomPusher.sockets[player.publicId]
+            Helpers.releasePlayer(playerId)
+
+            // Tell the game instance
+            Helpers.callGameHook(roomId, 'onPlayerRemoved', { playerId: player.publicId, reason })
+
+            // Hand the host role over to an online player. If no one can replace them, the game goes on without host:
+            // the room is destroyed when the game ends, as a lobby cannot live without its host (see returnToLobby).
+            if (rooms[roomId] && room.host === playerId && !Helpers.migrateHost(roomId))
+            {
+                room.host = null
+            }
+        },
+
+        /**
+         * Removes a player or a spectator from their room on the host's decision.
+         * Kicked players stay connected, but cannot get their seat back in a started game. Banned players cannot join the room again
+         * from the same connection, nor from another one if they are authenticated.
+         * @param {String} playerId player private ID (socket ID)
+         * @param {Boolean} ban Tells if the player is also banned from the room
+         * @emits kicked event sent to the kicked player, with { banned } as parameter
+         * @emits playerKicked event sent to all the remaining players in the room. The player's public ID and name are sent as parameter
+         */
+        kickPlayer(playerId, ban) {
+            const player = players[playerId]
+            const roomId = player.roomId
+            const room = rooms[roomId]
+
+            logger.room(`${player.publicId} is ${ban ? 'banned' : 'kicked'}`, { room: roomId })
+
+            // Ban the player, and their account if they are authenticated
+            if (ban)
+            {
+                room.bannedIds.add(player.publicId)
+                if (player.userId !== null)
+                {
+                    room.bannedUserIds.add(player.userId)
+                }
+            }
+
+            // Tell the player
+            player.socket.emit('kicked', { banned: ban })
+
+            // Remove the player from the room. Disconnected players are removed for good.
+            if (room.gameInstance !== null && !player.spectator)
+            {
+                Helpers.removeFromGame(playerId, ban ? 'ban' : 'kick')
             }
+            else
+            {
+                Helpers.leaveRoom(playerId, !player.socket.connected)
+            }
+
+            // Warn the other players
+            io.to(roomId).emit('playerKicked', { playerId: player.publicId, name: player.name, banned: ban })
+        },
+
+        /**
+         * Make a spectator leave the room they watch
+         * @param {String} playerId spectator private ID (socket ID)
+         * @param {Boolean} removePlayer Tells if the spectator should be removed after leaving the room
+         * @emits roomUpdated event sent to all the remaining players in the room
+         */
+        leaveAsSpectator(playerId, removePlayer) {
+            const player = players[playerId]
+            const roomId = player.roomId
+
+            // Remove the spectator from the room
+            registry.leaveRoom(playerId)
+
+            // Warn the players that this spectator left
+            Helpers.roomUpdated(roomId)
+
+            // Leave the io rooms
+            player.socket.leave(roomId)
+            player.socket.leave(Helpers.spectatorsRoom(roomId))
 
             if (removePlayer)
             {
                 // Remove the player
-                delete players[playerId]
+                Helpers.removePlayer(playerId)
+            }
+        },
+
+        /**
+         * Promotes another online player of the room to host, according to the host migration policy:
+         *      - "none": no migration
+         *      - "oldest": the player who joined the room first
+         *      - "random": a random player
+         *      - a custom function receiving the candidates ({ publicId, name, data }, in joining order) and returning the new host's public ID
+         * @param {String} roomId the room ID
+         * @param {String} [excludedId] player private ID (socket ID) that cannot be chosen (e.g. the leaving host)
+         * @returns {Boolean} true if a new host was promoted
+         */
+        migrateHost(roomId, excludedId = null) {
+            // Get the room
+            const room = rooms[roomId]
+            if (!room || hostMigration === 'none')
+            {
+                return false
             }
-        }
-    },
-    
-    /**
-     * Destroys the given room
-     * @param {String} roomId the room ID
-     * @emits roomDestroyed event sent to all the players still in the room (if any)
-     */
-    destroyRoom(roomId) {
-        logger.room(`Destroying the room ${roomId}`)
-
-        // Get the room
-        const room = rooms[roomId]
-        if (!room)
-        {
-            return
-        }
 
-        // Warn the players that the room is destoyed
-        io.to(roomId).emit('roomDestroyed')
+            // List the online players who can become host
+            const candidates = [...room.players].filter((pId) =>
+            {
+                return pId !== room.host && pId !== excludedId && players[pId] && players[pId].online === true
+            })
+            if (!candidates.length)
+            {
+                return false
+            }
 
-        // Iterate through the room players
-        room.players.forEach((playerId) =>
-        {
-            // Get the corresponding player
+            // Choose the new host
+            let newHost = candidates[0]
+            if (hostMigration === 'random')
+            {
+                newHost = candidates[Math.floor(Math.random() * candidates.length)]
+            }
+            else if (hostMigration instanceof Function)
+            {
+                const chosenId = hostMigration(candidates.map((pId) =>
+                {
+                    const { publicId, name, data } = players[pId]
+                    return { publicId, name, data }
+                }))
+                newHost = candidates.find((pId) => players[pId].publicId === chosenId) || newHost
+            }
+
+            Helpers.setHost(roomId, newHost)
+            return true
+        },
+
+        /**
+         * Makes the given player the host of their room
+         * @param {String} roomId the room ID
+         * @param {String} playerId the new host private ID (socket ID)
+         * @emits hostChanged event sent to all the players in the room. The new host's public ID and name are sent as parameter
+         */
+        setHost(roomId, playerId) {
+            const room = rooms[roomId]
             const player = players[playerId]
-            if (player)
+
+            logger.room(`${player.publicId} is the new host`, { room: roomId })
+
+            room.host = playerId
+
+            // Warn the players
+            io.to(roomId).emit('hostChanged', { playerId: player.publicId, name: player.name })
+
+            // Tell the game instance
+            if (room.gameInstance !== null)
             {
-                // Reset the player room ID
-                player.roomId = null
+                Helpers.callGameHook(roomId, 'onHostChanged', { host: player.publicId })
+            }
+        },
 
-                // Leave the io room
-                player.socket.leave(roomId)
+        /**
+         * Tells if all the players of the room are online and ready
+         * @param {String} roomId the room ID
+         * @returns {Boolean} true if every player is ready
+         */
+        allReady(roomId) {
+            return [...rooms[roomId].players].every((playerId) => players[playerId].online && players[playerId].ready)
+        },
 
-                // Remove completely the player if offline (they won't be able to reconnect as the game is destroyed)
-                if (player.online === false)
+        /**
+         * Starts or cancels the auto-start countdown of a lobby, depending on whether all its players are ready.
+         * When the countdown ends, the game is started as if the host started it.
+         * @param {String} roomId the room ID
+         * @emits countdownStarted event sent to all the players in the room, with { seconds } as parameter
+         * @emits countdownCancelled event sent to all the players in the room
+         */
+        updateCountdown(roomId) {
+            // Get the room
+            const room = rooms[roomId]
+            if (!room || !(autoStartCountdown > 0))
+            {
+                return
+            }
+
+            const { minPlayers, maxPlayers } = games.get(room.gameType)
+            const canStart = room.gameInstance === null
+                && room.players.size >= minPlayers
+                && room.players.size <= maxPlayers
+                && Helpers.allReady(roomId)
+
+            // Start the countdown
+            if (canStart && room.countdownTimer === null)
+            {
+                logger.room(`Starting the game in ${autoStartCountdown} seconds`, { room: roomId })
+
+                room.countdownTimer = setTimeout(() =>
+                {
+                    room.countdownTimer = null
+
+                    // Start the game, or tell the host why it cannot start
+                    const error = Helpers.launchGame(roomId)
+                    const host = players[room.host]
+                    if (error && host)
+                    {
+                        Helpers.sendError(host.socket, error, error.args)
+                    }
+                }, autoStartCountdown * MS_PER_SECOND)
+
+                io.to(roomId).emit('countdownStarted', { seconds: autoStartCountdown })
+            }
+            // Cancel the countdown
+            else if (!canStart && room.countdownTimer !== null)
+            {
+                logger.room(`Countdown cancelled`, { room: roomId })
+
+                clearTimeout(room.countdownTimer)
+                room.countdownTimer = null
+
+                io.to(roomId).emit('countdownCancelled')
+            }
+        },
+
+        /**
+         * Checks that the game of the room can start, then creates the game instance and inits it
+         * @param {String} roomId the room ID
+         * @param {Object} [logMeta] log metadata of the player starting the game
+         * @returns {(Object|null)} the error that prevented the game from starting, if any, with its args
+         * @emits gameStarted event sent to all the players in the room
+         */
+        launchGame(roomId, logMeta = {}) {
+            const room = rooms[roomId]
+            const { gameClass, minPlayers, maxPlayers, roomSettingsChecker } = games.get(room.gameType)
+
+            // Check that the game is not already started
+            if (room.gameInstance !== null)
+            {
+                return Errors.gameAlreadyStarted
+            }
+
+            // Check that the number of players is valid
+            if (room.players.size < minPlayers || room.players.size > maxPlayers)
+            {
+                return Errors.wrongPlayerCount
+            }
+
+            // Validate the room settings
+            const formattedPlayers = [...room.players].map((playerId) => Helpers.formatPlayer(playerId))
+            const settingsFailure = runValidator(roomSettingsChecker, room.settings, formattedPlayers)
+            if (settingsFailure)
+            {
+                return { ...Errors.incompatibleSettings, args: settingsFailure }
+            }
+
+            // Stop the auto-start countdown, the game starts anyway
+            clearTimeout(room.countdownTimer)
+            room.countdownTimer = null
+
+            // Create the RoomPusher
+            const playerSockets = [...room.players].reduce((acc, playerId) =>
+            {
+                const roomPlayer = players[playerId]
+                return { ...acc, [roomPlayer.publicId]: roomPlayer.socket }
+            }, {})
+            const roomPusher = new RoomPusher({
+                io,
+                roomId,
+                spectatorsRoomId: Helpers.spectatorsRoom(roomId),
+                sockets: playerSockets,
+                logger,
+                isActive: () => !!rooms[roomId] && rooms[roomId].roomPusher === roomPusher,
+                onEndGame: (results) => Helpers.endGame(roomId, results, roomPusher),
+                onChat: (text) => Helpers.postSystemMessage(roomId, text)
+            })
+            room.roomPusher = roomPusher
+
+            // Create the game instance and init it
+            try
+            {
+                room.gameInstance = new gameClass()
+            }
+            catch (error)
+            {
+                logger.error(`Game error in constructor: ${(error && error.stack) || error}`, { room: roomId, ...logMeta })
+                return Helpers.abortGameStart(roomId)
+            }
+
+            const { thrown } = Helpers.callGame(roomId, 'init', {
+                players: formattedPlayers,
+                host: players[room.host].publicId,
+                settings: room.settings,
+                roomId,
+                roomPusher,
+                logger
+            }, logMeta)
+
+            if (thrown)
+            {
+                return Helpers.abortGameStart(roomId)
+            }
+
+            // Server log
+            logger.room(`Game started`, { room: roomId })
+
+            // Broadcast to others
+            io.to(roomId).emit('gameStarted')
+            Helpers.notifyRoomList(room)
+
+            return null
+        },
+
+        /**
+         * Sends a chat message on behalf of the game, unless the room was destroyed meanwhile
+         * @param {String} roomId the room ID
+         * @param {String} text the message
+         */
+        postSystemMessage(roomId, text) {
+            if (rooms[roomId])
+            {
+                chat.post(roomId, null, text)
+            }
+        },
+
+        /**
+         * Aborts a game whose creation failed. A game that failed to start is never kept running:
+         * the room goes back to the lobby, unless the game error policy is to destroy it.
+         * @param {String} roomId the room ID
+         * @returns {Object} the game error
+         */
+        abortGameStart(roomId) {
+            if (gameErrorPolicy === 'destroy')
+            {
+                Helpers.destroyRoom(roomId)
+            }
+            else
+            {
+                Helpers.returnToLobby(roomId)
+            }
+
+            return Errors.gameError
+        },
+
+        /**
+         * Asks the game running in the room whether the player can join it, through its onPlayerJoined method.
+         * The player is registered in the room pusher beforehand, so that the game can push messages to them.
+         * If the player is refused, an error is sent back to them. The method must be synchronous: returning a promise is a game error.
+         * @param {Socket} socket the player socket
+         * @param {String} roomId the room ID
+         * @returns {Boolean} true if the player is accepted
+         */
+        acceptLateJoin(socket, roomId) {
+            const player = players[socket.id]
+            const room = rooms[roomId]
+
+            // A game without onPlayerJoined method does not support late joins
+            if (!(room.gameInstance.onPlayerJoined instanceof Function))
+            {
+                Helpers.replyError(socket, 'joinRoom', Errors.gameAlreadyStarted)
+                return false
+            }
+
+            // Register the player in the room pusher
+            room.roomPusher.sockets[player.publicId] = socket
+
+            // Call the game
+            const meta = { socket: socket.id, player: player.publicId }
+            let { thrown, result } = Helpers.callGame(roomId, 'onPlayerJoined', { player: Helpers.formatPlayer(socket.id) }, meta)
+
+            // The answer is needed right away : a promise is a game error
+            if (result && result.then instanceof Function)
+            {
+                logger.error(`Game error in onPlayerJoined: it must not return a promise`, { room: roomId, ...meta })
+                result.then(null, () => null)
+                thrown = true
+                result = null
+            }
+            const { error } = result || {}
+
+            if (thrown || error || result === false)
+            {
+                // Unregister the player
+                delete room.roomPusher.sockets[player.publicId]
+
+                if (thrown)
+                {
+                    Helpers.replyError(socket, 'joinRoom', Errors.gameError)
+                    Helpers.applyGameErrorPolicy(roomId)
+                }
+                else
+                {
+                    Helpers.replyError(socket, 'joinRoom', error || Errors.lateJoinRefused)
+                }
+                return false
+            }
+
+            return true
+        },
+
+        /**
+         * Checks the permissions declared by a custom action: host only, allowed game phases and guard.
+         * If the player is not allowed to do the action, an error is sent back to them.
+         * The guard is game code: if it throws, the game error policy is applied.
+         * @param {Socket} socket the player socket
+         * @param {String} name the action name
+         * @param {ActionDescriptor} action the action descriptor
+         * @returns {Boolean} true if the player is allowed to do the action
+         */
+        checkPermission(socket, name, action) {
+            const player = players[socket.id]
+            const roomId = player.roomId
+            const room = rooms[roomId]
+
+            // Check that the player is the host
+            let rule = null
+            if (action.hostOnly && room.host !== socket.id)
+            {
+                rule = 'hostOnly'
+            }
+            // Check the phase exposed by the game
+            else if (Array.isArray(action.allowedPhases) && !action.allowedPhases.includes(room.gameInstance.phase))
+            {
+                rule = 'allowedPhases'
+            }
+            // Run the custom guard
+            else if (action.guard instanceof Function)
+            {
+                const host = players[room.host]
+                const formattedRoom = {
+                    code: room.code,
+                    gameType: room.gameType,
+                    host: host ? host.publicId : null,
+                    players: [...room.players].map((playerId) => Helpers.formatPlayer(playerId)),
+                    settings: room.settings
+                }
+                const { thrown, result } = Helpers.callGameCode(roomId, `guard of ${name}`, () =>
                 {
-                    delete players[playerId]
+                    return action.guard(player.publicId, room.gameInstance, formattedRoom)
+                }, { socket: socket.id, player: player.publicId })
+
+                if (thrown)
+                {
+                    Helpers.replyError(socket, name, Errors.gameError)
+                    Helpers.applyGameErrorPolicy(roomId)
+                    return false
                 }
+                rule = result ? null : 'guard'
+            }
+
+            if (rule)
+            {
+                Helpers.replyError(socket, name, Errors.actionForbidden, { rule })
+                return false
             }
-        })
 
-        // Remove the room
-        delete rooms[roomId]
+            return true
+        },
+
+        /**
+         * Calls the game instance method of a custom action, and replies to the player with its result.
+         * The method can return a promise: the reply is then sent once it is settled, unless the room was destroyed meanwhile.
+         * @param {Socket} socket the player socket
+         * @param {String} name the action name
+         * @param {any} data the action input
+         */
+        runAction(socket, name, data) {
+            const player = players[socket.id]
+            const roomId = player.roomId
+            const room = rooms[roomId]
+
+            // Check that the callback exists
+            if (!(room.gameInstance[name] instanceof Function))
+            {
+                return Helpers.replyError(socket, name, Errors.missingCallback)
+            }
+
+            // Call the custom callback
+            const { thrown, result } = Helpers.callGame(roomId, name, {
+                playerId: player.publicId,
+                userId: player.userId,
+                profile: player.profile,
+                data
+            }, { socket: socket.id, player: player.publicId })
+
+            if (thrown)
+            {
+                Helpers.replyError(socket, name, Errors.gameError)
+                return Helpers.applyGameErrorPolicy(roomId)
+            }
+
+            // Asynchronous action: reply once the promise is settled
+            if (result && result.then instanceof Function)
+            {
+                return result.then(
+                    (asyncResult) =>
+                    {
+                        if (rooms[roomId] === room)
+                        {
+                            Helpers.replyAction(socket, name, asyncResult)
+                        }
+                    },
+                    (reason) =>
+                    {
+                        // The reason stays in the server log, as it may reveal the game internals
+                        logger.error(`Action ${name} rejected: ${(reason && reason.stack) || reason}`, {
+                            room: roomId, socket: socket.id, player: player.publicId
+                        })
+                        if (rooms[roomId] === room)
+                        {
+                            Helpers.replyError(socket, name, Errors.actionFailed)
+                        }
+                    }
+                )
+            }
+
+            return Helpers.replyAction(socket, name, result)
+        },
+
+        /**
+         * Replies to a custom action with the value returned by the game: { error } or { response }
+         * @param {Socket} socket the player socket
+         * @param {String} name the action name
+         * @param {Object} result the value returned by the game
+         */
+        replyAction(socket, name, result) {
+            const { error, response } = result || {}
+
+            if (error)
+            {
+                return Helpers.replyError(socket, name, error)
+            }
+            else
+            {
+                return Helpers.reply(socket, name, response)
+            }
+        },
+
+        /**
+         * Calls an optional hook of the room game instance, if the game class defines it.
+         * If the hook throws, or returns a promise that is rejected, the game error policy is applied.
+         * @param {String} roomId the room ID
+         * @param {String} hook the name of the game instance method
+         * @param {any} params the parameter passed to the hook
+         */
+        callGameHook(roomId, hook, params) {
+            const room = rooms[roomId]
+            if (!room || room.gameInstance === null || !(room.gameInstance[hook] instanceof Function))
+            {
+                return
+            }
+
+            const { thrown, result } = Helpers.callGame(roomId, hook, params)
+            if (thrown)
+            {
+                Helpers.applyGameErrorPolicy(roomId)
+            }
+            else
+            {
+                Helpers.watchGamePromise(roomId, hook, result)
+            }
+        },
+
+        /**
+         * Watches the value returned by a game hook, in case it is a promise. If the promise is rejected, the reason is logged
+         * and the game error policy is applied, unless the game is over meanwhile.
+         * @param {String} roomId the room ID
+         * @param {String} hook the name of the game instance method
+         * @param {any} result the value returned by the hook
+         */
+        watchGamePromise(roomId, hook, result) {
+            if (!result || !(result.then instanceof Function))
+            {
+                return
+            }
+
+            const room = rooms[roomId]
+            const gameInstance = room.gameInstance
+            result.then(null, (reason) =>
+            {
+                logger.error(`Game error in ${hook}: ${(reason && reason.stack) || reason}`, { room: roomId })
+                if (rooms[roomId] === room && room.gameInstance === gameInstance)
+                {
+                    Helpers.applyGameErrorPolicy(roomId)
+                }
+            })
+        },
+
+        /**
+         * Calls a method of the room game instance, catching any exception thrown by the game code.
+         * The exception is logged with the room context but the configured policy is not applied (see applyGameErrorPolicy).
+         * @param {String} roomId the room ID
+         * @param {String} method the name of the game instance method
+         * @param {any} params the parameter passed to the method
+         * @param {Object} [meta] additional log metadata (e.g. the calling socket and player)
+         * @returns {{ thrown: Boolean, result: any }} the method return value, or thrown set to true if it threw
+         */
+        callGame(roomId, method, params, meta = {}) {
+            const room = rooms[roomId]
+            return Helpers.callGameCode(roomId, method, () => room.gameInstance[method](params), meta)
+        },
+
+        /**
+         * Runs a piece of game code (a game instance method, an action guard...), catching any exception it throws.
+         * The exception is logged with the room context but the configured policy is not applied (see applyGameErrorPolicy).
+         * @param {String} roomId the room ID
+         * @param {String} label what the game code is, for the log
+         * @param {Function} run the game code
+         * @param {Object} [meta] additional log metadata (e.g. the calling socket and player)
+         * @returns {{ thrown: Boolean, result: any }} the game code return value, or thrown set to true if it threw
+         */
+        callGameCode(roomId, label, run, meta = {}) {
+            try
+            {
+                return { thrown: false, result: run() }
+            }
+            catch (error)
+            {
+                logger.error(`Game error in ${label}: ${(error && error.stack) || error}`, { room: roomId, ...meta })
+                return { thrown: true, result: null }
+            }
+        },
+
+        /**
+         * Applies the configured game error policy to a room whose game code has thrown:
+         *      - "keep": the game keeps running
+         *      - "lobby": the game is stopped and the players are brought back to the lobby
+         *      - "destroy": the room is destroyed
+         * @param {String} roomId the room ID
+         * @emits gameAborted event sent to all the players in the room if the room is brought back to the lobby
+         */
+        applyGameErrorPolicy(roomId) {
+            switch (gameErrorPolicy)
+            {
+            case 'destroy':
+                Helpers.destroyRoom(roomId)
+                break
+            case 'lobby':
+                if (Helpers.returnToLobby(roomId))
+                {
+                    io.to(roomId).emit('gameAborted')
+                }
+                break
+            default:
+                break
+            }
+        },
+
+        /**
+         * Stops the game running in the given room and brings its players back to the lobby.
+         * Offline players are removed, unless a reconnection timeout lets them reconnect to the lobby.
+         * If the host is offline and no other player can become host, the room is destroyed instead.
+         * @param {String} roomId the room ID
+         * @returns {Boolean} true if the room is back in the lobby, false if it was destroyed or not found
+         */
+        returnToLobby(roomId) {
+            logger.room(`Returning to the lobby`, { room: roomId })
+
+            // Get the room
+            const room = rooms[roomId]
+            if (!room)
+            {
+                return false
+            }
+
+            // Let the game instance clean up. The game error policy is not applied as the game is over anyway
+            if (room.gameInstance !== null && room.gameInstance.onGameEnded instanceof Function)
+            {
+                const { result } = Helpers.callGame(roomId, 'onGameEnded')
+                Helpers.watchGamePromise(roomId, 'onGameEnded', result)
+            }
+
+            // Drop the game instance, the players have to get ready again. Its room pusher does not send anything anymore.
+            room.gameInstance = null
+            room.roomPusher = null
+            room.players.forEach((playerId) => { players[playerId].ready = false })
+            Helpers.notifyRoomList(room)
+
+            // The lobby cannot live without its host
+            const host = players[room.host]
+            if ((!host || host.online === false) && !Helpers.migrateHost(roomId))
+            {
+                Helpers.destroyRoom(roomId)
+                return false
+            }
+
+            // Take the offline players out of the room, unless they lost their connection and still can reconnect.
+            // The players who left the game are still connected : they stay registered.
+            room.players.forEach((playerId) =>
+            {
+                const player = players[playerId]
+                if (player.online === false && (player.socket.connected || !(reconnectTimeout > 0)))
+                {
+                    Helpers.releasePlayer(playerId)
+                }
+            })
+
+            return true
+        },
+
+        /**
+         * Ends the game running in the given room and brings its players back to the lobby, ready for a rematch.
+         * @param {String} roomId the room ID
+         * @param {any} results the game results, forwarded to the players
+         * @param {RoomPusher} roomPusher the room pusher of the ending game. Stale room pushers are ignored.
+         * @emits gameEnded event sent to all the players in the room, with the results as parameter
+         * @emits roomUpdated event sent to all the players in the room
+         */
+        endGame(roomId, results, roomPusher) {
+            // Get the room
+            const room = rooms[roomId]
+            if (!room || room.gameInstance === null || room.roomPusher !== roomPusher)
+            {
+                return
+            }
+
+            logger.room(`Game ended`, { room: roomId })
+
+            // Back to the lobby
+            if (Helpers.returnToLobby(roomId))
+            {
+                io.to(roomId).emit('gameEnded', results)
+                Helpers.roomUpdated(roomId)
+            }
+        },
+
+        /**
+         * Destroys the given room
+         * @param {String} roomId the room ID
+         * @emits roomDestroyed event sent to all the players still in the room (if any)
+         */
+        destroyRoom(roomId) {
+            logger.room(`Destroying the room ${roomId}`)
+
+            // Get the room
+            const room = rooms[roomId]
+            if (!room)
+            {
+                return
+            }
+
+            // Stop the auto-start countdown
+            clearTimeout(room.countdownTimer)
+
+            // Let the game instance clean up. The game error policy is not applied as the room is destroyed anyway
+            if (room.gameInstance !== null && room.gameInstance.onRoomDestroyed instanceof Function)
+            {
+                const { result } = Helpers.callGame(roomId, 'onRoomDestroyed')
+                Helpers.watchGamePromise(roomId, 'onRoomDestroyed', result)
+            }
+
+            // Warn the players that the room is destoyed
+            io.to(roomId).emit('roomDestroyed')
+            Helpers.notifyRoomList(room)
+
+            // Iterate through the room players
+            room.players.forEach((playerId) =>
+            {
+                // Get the corresponding player
+                const player = players[playerId]
+                if (player)
+                {
+                    // Remove the player from the room, and completely if disconnected (they won't be able to reconnect as the game is destroyed)
+                    Helpers.releasePlayer(playerId)
+                }
+            })
+
+            // Iterate through the room spectators
+            room.spectators.forEach((playerId) =>
+            {
+                // Get the corresponding player
+                const player = players[playerId]
+                if (player)
+                {
+                    // Remove the spectator from the room
+                    registry.leaveRoom(playerId)
+
+                    // Leave the io rooms
+                    player.socket.leave(roomId)
+                    player.socket.leave(Helpers.spectatorsRoom(roomId))
+                }
+            })
+
+            // Remove the room
+            chat.clear(roomId)
+            registry.removeRoom(roomId)
+        }
     }
+
+    return Helpers
 }
 
-module.exports = Helpers
\ No newline at end of file
+module.exports = { createHelpers }
\ No newline at end of file
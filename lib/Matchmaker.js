@@ -0,0 +1,267 @@
+'use strict'
+
+const MS_PER_SECOND = 1000
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {Socket} socket the waiting player socket
+ * @property {string} playerName the player name
+ * @property {any} playerData the player data
+ * @property {string} queueKey the queue key chosen by the player
+ * @property {string} gameType the game type the player wants to play
+ * @property {number} joinedAt the time the player joined the queue
+ * @property {(Timeout|null)} timer the timer removing the player if they are not matched in time
+ */
+
+/**
+ * Matchmaking queue. Waiting players are pooled by game type and bucket, and a match is made
+ * as soon as a bucket holds enough players.
+ */
+class Matchmaker
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Function returning the number of players per match of a game type
+     * @type {Function}
+     */
+    #targetSize = null
+
+    /**
+     * Number of seconds before a waiting player is removed from the queue (0 to disable)
+     * @type {number}
+     */
+    #timeout = 0
+
+    /**
+     * Function returning the bucket of a waiting player
+     * @type {Function}
+     */
+    #bucket = null
+
+    /**
+     * Function called with the entries of a match
+     * @type {Function}
+     */
+    #onMatch = null
+
+    /**
+     * @type {winston.Logger}
+     */
+    #logger = null
+
+    /**
+     * Waiting players of each bucket, in joining order
+     * @type {Map.<string, Array.<QueueEntry>>}
+     */
+    #buckets = new Map()
+
+    /**
+     * Bucket of each waiting player, indexed by socket ID
+     * @type {Map.<string, string>}
+     */
+    #bucketsBySocketId = new Map()
+
+    /**
+     * Average time between two matches of each bucket, in seconds
+     * @type {Map.<string, { lastMatchAt: number, interval: (number|null) }>}
+     */
+    #stats = new Map()
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    constructor({ targetSize, timeout = 0, bucket = ({ queueKey }) => queueKey, onMatch, logger })
+    {
+        this.#targetSize = targetSize
+        this.#timeout = timeout
+        this.#bucket = bucket
+        this.#onMatch = onMatch
+        this.#logger = logger
+    }
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * Tells if a player is waiting in the queue
+     * @param {string} socketId the player socket ID
+     * @returns {Boolean} true if the player is waiting
+     */
+    has(socketId)
+    {
+        return this.#bucketsBySocketId.has(socketId)
+    }
+
+    /**
+     * Add a player to the queue. A match is made if their bucket is full enough.
+     * @param {Socket} socket the player socket
+     * @param {Object} params the player name and data, the queue key and the game type
+     * @emits queueUpdated
+     */
+    join(socket, { playerName, playerData, queueKey = '', gameType })
+    {
+        const bucketKey = `${gameType}/${this.#bucket({ queueKey, playerData, gameType })}`
+        const entry = {
+            socket,
+            playerName,
+            playerData,
+            queueKey,
+            gameType,
+            joinedAt: Date.now(),
+            timer: null
+        }
+
+        // Start the timeout
+        if (this.#timeout > 0)
+        {
+            entry.timer = setTimeout(() => this.#timeoutEntry(socket.id), this.#timeout * MS_PER_SECOND)
+        }
+
+        // Add the player to their bucket
+        if (!this.#buckets.has(bucketKey))
+        {
+            this.#buckets.set(bucketKey, [])
+        }
+        this.#buckets.get(bucketKey).push(entry)
+        this.#bucketsBySocketId.set(socket.id, bucketKey)
+
+        this.#logger.info(`joined the queue ${bucketKey}`, { socket: socket.id })
+
+        // Make a match if possible
+        this.#match(bucketKey)
+        this.#notify(bucketKey)
+    }
+
+    /**
+     * Remove a player from the queue, if they are waiting
+     * @param {string} socketId the player socket ID
+     * @returns {Boolean} true if the player was waiting
+     * @emits queueUpdated
+     */
+    leave(socketId)
+    {
+        const bucketKey = this.#bucketsBySocketId.get(socketId)
+        if (bucketKey === undefined)
+        {
+            return false
+        }
+
+        // Remove the player from their bucket
+        const entries = this.#buckets.get(bucketKey)
+        const entry = entries.find(({ socket }) => socket.id === socketId)
+        clearTimeout(entry.timer)
+        this.#removeEntries(bucketKey, [entry])
+
+        this.#logger.info(`left the queue ${bucketKey}`, { socket: socketId })
+
+        // Update the other waiting players
+        this.#notify(bucketKey)
+        return true
+    }
+
+
+    //=====================
+    // Private methods
+    //=====================
+
+    /**
+     * Make matches in a bucket while it holds enough players
+     */
+    #match(bucketKey)
+    {
+        const [{ gameType }] = this.#buckets.get(bucketKey)
+        const targetSize = this.#targetSize(gameType)
+
+        while ((this.#buckets.get(bucketKey) || []).length >= targetSize)
+        {
+            const matched = this.#buckets.get(bucketKey).slice(0, targetSize)
+            matched.forEach(({ timer }) => clearTimeout(timer))
+            this.#removeEntries(bucketKey, matched)
+            this.#updateStats(bucketKey)
+
+            this.#logger.info(`Match made in the queue ${bucketKey}`)
+            this.#onMatch(matched)
+        }
+    }
+
+    /**
+     * Remove entries from a bucket. Empty buckets are deleted.
+     */
+    #removeEntries(bucketKey, removed)
+    {
+        const entries = this.#buckets.get(bucketKey).filter((entry) => !removed.includes(entry))
+        removed.forEach(({ socket }) => this.#bucketsBySocketId.delete(socket.id))
+
+        if (entries.length)
+        {
+            this.#buckets.set(bucketKey, entries)
+        }
+        else
+        {
+            this.#buckets.delete(bucketKey)
+        }
+    }
+
+    /**
+     * Remove a player who has not been matched in time
+     * @emits queueTimedOut
+     */
+    #timeoutEntry(socketId)
+    {
+        const bucketKey = this.#bucketsBySocketId.get(socketId)
+        const entry = bucketKey !== undefined && this.#buckets.get(bucketKey).find(({ socket }) => socket.id === socketId)
+        if (entry && this.leave(socketId))
+        {
+            entry.socket.emit('queueTimedOut')
+        }
+    }
+
+    /**
+     * Record the time between the last two matches of a bucket
+     */
+    #updateStats(bucketKey)
+    {
+        const now = Date.now()
+        const stats = this.#stats.get(bucketKey)
+        if (stats)
+        {
+            const interval = (now - stats.lastMatchAt) / MS_PER_SECOND
+            stats.interval = (stats.interval === null) ? interval : (stats.interval + interval) * 0.5
+            stats.lastMatchAt = now
+        }
+        else
+        {
+            this.#stats.set(bucketKey, { lastMatchAt: now, interval: null })
+        }
+    }
+
+    /**
+     * Send their position and estimated waiting time to the players of a bucket
+     * @emits queueUpdated
+     */
+    #notify(bucketKey)
+    {
+        const entries = this.#buckets.get(bucketKey) || []
+        const stats = this.#stats.get(bucketKey)
+        const targetSize = entries.length ? this.#targetSize(entries[0].gameType) : 1
+
+        entries.forEach(({ socket }, index) =>
+        {
+            const matchesAhead = Math.floor(index / targetSize) + 1
+            socket.emit('queueUpdated', {
+                position: index + 1,
+                size: entries.length,
+                eta: (stats && stats.interval !== null) ? Math.round(matchesAhead * stats.interval) : null
+            })
+        })
+    }
+}
+
+module.exports = Matchmaker
\ No newline at end of file
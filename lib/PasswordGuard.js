@@ -0,0 +1,147 @@
+'use strict'
+
+const crypto = require('crypto')
+const { promisify } = require('util')
+
+const Errors = require('./Errors')
+
+const scrypt = promisify(crypto.scrypt)
+
+const SALT_BYTES = 16
+const KEY_LENGTH = 32
+const MAX_PASSWORD_LENGTH = 128
+const MAX_FAILURES = 3
+const LOCK_TIME = 5
+const MAX_LOCK_TIME = 300
+const MS_PER_SECOND = 1000
+
+/**
+ * @typedef {Object} PasswordAttempts
+ * @property {number} failures the number of consecutive failures
+ * @property {number} lockedUntil the time until which the socket cannot try again
+ * @property {Boolean} pending whether a password check of the socket is running
+ */
+
+/**
+ * Hashes and checks the room passwords.
+ * Repeated failures from one socket lock it out for a time that doubles on every new failure.
+ */
+class PasswordGuard
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Number of consecutive failures allowed before locking a socket out
+     * @type {number}
+     */
+    #maxFailures = MAX_FAILURES
+
+    /**
+     * Number of seconds of the first lockout
+     * @type {number}
+     */
+    #lockTime = LOCK_TIME
+
+    /**
+     * Number of seconds of the longest lockout
+     * @type {number}
+     */
+    #maxLockTime = MAX_LOCK_TIME
+
+    /**
+     * Password attempts of each socket, indexed by socket ID
+     * @type {Map.<string, PasswordAttempts>}
+     */
+    #attempts = new Map()
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    constructor({ maxFailures = MAX_FAILURES, lockTime = LOCK_TIME, maxLockTime = MAX_LOCK_TIME } = {})
+    {
+        this.#maxFailures = maxFailures
+        this.#lockTime = lockTime
+        this.#maxLockTime = maxLockTime
+    }
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * Tells if the given password has a valid format
+     * @param {any} password the password
+     * @returns {Boolean} true if the password is valid
+     */
+    validate(password)
+    {
+        return (typeof password === 'string') && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH
+    }
+
+    /**
+     * Hash a password with a random salt
+     * @param {string} password the password
+     * @returns {Promise.<string>} the salt and the hash, separated by a dot
+     */
+    async hash(password)
+    {
+        const salt = crypto.randomBytes(SALT_BYTES)
+        const hash = await scrypt(password, salt, KEY_LENGTH)
+        return `${salt.toString('base64url')}.${hash.toString('base64url')}`
+    }
+
+    /**
+     * Check the password given by a socket against a password hash, in constant time
+     * @param {string} socketId the socket ID
+     * @param {any} password the password given by the socket
+     * @param {string} passwordHash the password hash, as returned by hash
+     * @returns {Promise.<(Object|null)>} the error if the socket is locked out or the password is wrong, null otherwise
+     */
+    async check(socketId, password, passwordHash)
+    {
+        // Throttle the repeated failures
+        const attempts = this.#attempts.get(socketId) || { failures: 0, lockedUntil: 0, pending: false }
+        if (attempts.pending || Date.now() < attempts.lockedUntil)
+        {
+            return Errors.tooManyAttempts
+        }
+        this.#attempts.set(socketId, attempts)
+
+        // Compare the hashes
+        attempts.pending = true
+        const [salt, expected] = passwordHash.split('.').map((part) => Buffer.from(part, 'base64url'))
+        const hash = await scrypt(this.validate(password) ? password : '', salt, KEY_LENGTH)
+        attempts.pending = false
+
+        if (this.validate(password) && crypto.timingSafeEqual(hash, expected))
+        {
+            this.#attempts.delete(socketId)
+            return null
+        }
+
+        // Lock the socket out after too many failures
+        attempts.failures++
+        if (attempts.failures >= this.#maxFailures)
+        {
+            const lockTime = Math.min(this.#lockTime * (2 ** (attempts.failures - this.#maxFailures)), this.#maxLockTime)
+            attempts.lockedUntil = Date.now() + lockTime * MS_PER_SECOND
+        }
+        return Errors.invalid.password
+    }
+
+    /**
+     * Forget the attempts of a socket, once it is disconnected
+     * @param {string} socketId the socket ID
+     */
+    forget(socketId)
+    {
+        this.#attempts.delete(socketId)
+    }
+}
+
+module.exports = PasswordGuard
\ No newline at end of file
@@ -0,0 +1,74 @@
+'use strict'
+
+const MS_PER_SECOND = 1000
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} limit the maximum number of events in a burst
+ * @property {number} interval the number of seconds it takes to allow a full burst again
+ */
+
+/**
+ * Token bucket rate limiter, keyed by socket and event name.
+ * Each bucket holds up to "limit" tokens and is refilled at a rate of "limit" tokens per "interval" seconds.
+ */
+class RateLimiter
+{
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Buckets of each event name, indexed by socket ID
+     * @type {Map.<string, Map.<string, { tokens: number, updatedAt: number }>>}
+     */
+    #buckets = new Map()
+
+
+    //=====================
+    // Public methods
+    //=====================
+
+    /**
+     * Take a token from the bucket of a socket event
+     * @param {string} socketId the socket ID
+     * @param {string} name the event name
+     * @param {RateLimit} rateLimit the rate limit of the event
+     * @returns {Boolean} true if the event is allowed, false if the socket exceeded the rate limit
+     */
+    consume(socketId, name, { limit, interval })
+    {
+        if (!this.#buckets.has(socketId))
+        {
+            this.#buckets.set(socketId, new Map())
+        }
+        const buckets = this.#buckets.get(socketId)
+        const now = Date.now()
+        const bucket = buckets.get(name) || { tokens: limit, updatedAt: now }
+
+        // Refill the bucket
+        const elapsed = (now - bucket.updatedAt) / MS_PER_SECOND
+        bucket.tokens = Math.min(limit, bucket.tokens + elapsed * limit / interval)
+        bucket.updatedAt = now
+        buckets.set(name, bucket)
+
+        // Take a token
+        if (bucket.tokens < 1)
+        {
+            return false
+        }
+        bucket.tokens -= 1
+        return true
+    }
+
+    /**
+     * Forget the buckets of a socket, once it is disconnected
+     * @param {string} socketId the socket ID
+     */
+    forget(socketId)
+    {
+        this.#buckets.delete(socketId)
+    }
+}
+
+module.exports = RateLimiter
\ No newline at end of file
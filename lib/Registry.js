@@ -0,0 +1,263 @@
+'use strict'
+
+/**
+ * Registry of the rooms and players of a server.
+ * The rooms and players lists can be read directly, but must only be modified through the registry methods
+ * so that the lookup indexes stay consistent.
+ */
+class Registry
+{
+    //=====================
+    // Public attributes
+    //=====================
+
+    /**
+     * List of rooms
+     * @type {Object.<string, RoomObj>}
+     */
+    rooms = {}
+
+    /**
+     * List of players
+     * @type {Object.<string, PlayerObj>}
+     */
+    players = {}
+
+    //=====================
+    // Private attributes
+    //=====================
+
+    /**
+     * Room IDs indexed by room code
+     * @type {Map.<string, string>}
+     */
+    #roomIdsByCode = new Map()
+
+    /**
+     * IDs of the public rooms
+     * @type {Set.<string>}
+     */
+    #publicRoomIds = new Set()
+
+    /**
+     * Player private IDs (socket IDs) indexed by public ID
+     * @type {Map.<string, string>}
+     */
+    #playerIdsByPublicId = new Map()
+
+    /**
+     * Player private IDs (socket IDs) indexed by user ID, for the servers authenticating their users
+     * @type {Map.<string, Set.<string>>}
+     */
+    #playerIdsByUserId = new Map()
+
+
+    //=====================
+    // Players
+    //=====================
+
+    /**
+     * Register a new player
+     * @param {string} playerId player private ID (socket ID)
+     * @param {PlayerObj} player the player
+     */
+    addPlayer(playerId, player)
+    {
+        this.players[playerId] = player
+        this.#playerIdsByPublicId.set(player.publicId, playerId)
+        if (player.userId !== null)
+        {
+            const playerIds = this.#playerIdsByUserId.get(player.userId) || new Set()
+            this.#playerIdsByUserId.set(player.userId, playerIds.add(playerId))
+        }
+    }
+
+    /**
+     * Unregister a player. The player must have left their room beforehand.
+     * @param {string} playerId player private ID (socket ID)
+     */
+    removePlayer(playerId)
+    {
+        const player = this.players[playerId]
+        if (player)
+        {
+            this.#playerIdsByPublicId.delete(player.publicId)
+            this.#forgetUserPlayer(player.userId, playerId)
+            delete this.players[playerId]
+        }
+    }
+
+    /**
+     * Move a player to a new private ID (socket ID), when they reconnect.
+     * Their room membership and host role follow them, in the same position in the room.
+     * @param {string} oldPlayerId the former player private ID
+     * @param {string} newPlayerId the new player private ID
+     * @param {PlayerObj} player the player, registered under the new private ID
+     */
+    replacePlayer(oldPlayerId, newPlayerId, player)
+    {
+        this.#forgetUserPlayer(player.userId, oldPlayerId)
+        delete this.players[oldPlayerId]
+        this.addPlayer(newPlayerId, player)
+
+        const room = this.rooms[player.roomId]
+        if (room && room.players.has(oldPlayerId))
+        {
+            room.players = new Set([...room.players].map((playerId) =>
+            {
+                return playerId === oldPlayerId ? newPlayerId : playerId
+            }))
+            if (room.host === oldPlayerId)
+            {
+                room.host = newPlayerId
+            }
+        }
+    }
+
+    /**
+     * Get the private ID (socket ID) of a player from their public ID
+     * @param {string} publicId the player public ID
+     * @returns {(string|null)} the player private ID, if any
+     */
+    getPlayerIdFromPublicId(publicId)
+    {
+        return this.#playerIdsByPublicId.get(publicId) || null
+    }
+
+    /**
+     * Get the private IDs (socket IDs) of the players of a user
+     * @param {(string|null)} userId the user ID
+     * @returns {Array.<string>} the player private IDs, none if the user ID is null
+     */
+    getPlayerIdsFromUserId(userId)
+    {
+        return [...(this.#playerIdsByUserId.get(userId) || [])]
+    }
+
+
+    //=====================
+    // Rooms
+    //=====================
+
+    /**
+     * Register a new room
+     * @param {string} roomId the room ID
+     * @param {RoomObj} room the room
+     */
+    addRoom(roomId, room)
+    {
+        this.rooms[roomId] = room
+        this.#roomIdsByCode.set(room.code, roomId)
+        if (room.visibility === 'public')
+        {
+            this.#publicRoomIds.add(roomId)
+        }
+    }
+
+    /**
+     * Unregister a room. Its players must have left it beforehand.
+     * @param {string} roomId the room ID
+     */
+    removeRoom(roomId)
+    {
+        const room = this.rooms[roomId]
+        if (room)
+        {
+            this.#roomIdsByCode.delete(room.code)
+            this.#publicRoomIds.delete(roomId)
+            delete this.rooms[roomId]
+        }
+    }
+
+    /**
+     * Get the ID of a room from its code
+     * @param {string} code the room code
+     * @returns {(string|null)} the room ID, if any
+     */
+    getRoomIdFromCode(code)
+    {
+        return this.#roomIdsByCode.get(code) || null
+    }
+
+    /**
+     * Get the IDs of the public rooms, in creation order
+     * @returns {Array.<string>} the public room IDs
+     */
+    getPublicRoomIds()
+    {
+        return [...this.#publicRoomIds]
+    }
+
+
+    //=====================
+    // Memberships
+    //=====================
+
+    /**
+     * Add a player to a room
+     * @param {string} playerId player private ID (socket ID)
+     * @param {string} roomId the room ID
+     */
+    joinRoom(playerId, roomId)
+    {
+        this.players[playerId].roomId = roomId
+        this.players[playerId].ready = false
+        this.rooms[roomId].players.add(playerId)
+    }
+
+    /**
+     * Add a spectator to a room
+     * @param {string} playerId player private ID (socket ID)
+     * @param {string} roomId the room ID
+     */
+    spectateRoom(playerId, roomId)
+    {
+        this.players[playerId].roomId = roomId
+        this.players[playerId].spectator = true
+        this.rooms[roomId].spectators.add(playerId)
+    }
+
+    /**
+     * Remove a player or a spectator from their room
+     * @param {string} playerId player private ID (socket ID)
+     */
+    leaveRoom(playerId)
+    {
+        const player = this.players[playerId]
+        const room = this.rooms[player.roomId]
+        if (room)
+        {
+            room.players.delete(playerId)
+            room.spectators.delete(playerId)
+        }
+
+        player.roomId = null
+        player.spectator = false
+        player.ready = false
+    }
+
+
+    //=====================
+    // Private methods
+    //=====================
+
+    /**
+     * Remove a player from the index of their user
+     * @param {(string|null)} userId the user ID
+     * @param {string} playerId player private ID (socket ID)
+     */
+    #forgetUserPlayer(userId, playerId)
+    {
+        const playerIds = this.#playerIdsByUserId.get(userId)
+        if (playerIds)
+        {
+            playerIds.delete(playerId)
+            if (playerIds.size === 0)
+            {
+                this.#playerIdsByUserId.delete(userId)
+            }
+        }
+    }
+}
+
+module.exports = Registry
\ No newline at end of file
@@ -1,14 +1,23 @@
 'use strict'
 
 module.exports = class RoomPusher {
-    constructor({ io, roomId, sockets, logger }) {
+    constructor({ io, roomId, spectatorsRoomId, sockets, logger, isActive, onEndGame, onChat }) {
         this.io = io
         this.roomId = roomId
+        this.spectatorsRoomId = spectatorsRoomId
         this.logger = logger
         this.sockets = sockets
+        this.isActive = isActive
+        this.onEndGame = onEndGame
+        this.onChat = onChat
     }
 
     pushTo(playerPublicId, event, payload) {
+        if (!this.isActive())
+        {
+            return
+        }
+
         const socket = this.sockets[playerPublicId]
         if (socket)
         {
@@ -21,14 +30,41 @@ module.exports = class RoomPusher {
     }
 
     pushToAll(event, payload) {
-        this.io.to(this.roomId).emit(event, payload)
+        if (this.isActive())
+        {
+            this.io.to(this.roomId).emit(event, payload)
+        }
+    }
+
+    pushToSpectators(event, payload) {
+        if (this.isActive())
+        {
+            this.io.to(this.spectatorsRoomId).emit(event, payload)
+        }
     }
 
     pushError(errorCode, payload = {}) {
-        this.io.to(this.roomId).emit('error', {
-            code: errorCode,
-            payload
-        })
+        if (this.isActive())
+        {
+            this.io.to(this.roomId).emit('error', {
+                code: errorCode,
+                payload
+            })
+        }
+    }
+
+    pushChat(text) {
+        if (this.isActive())
+        {
+            this.onChat(text)
+        }
+    }
+
+    endGame(results) {
+        if (this.isActive())
+        {
+            this.onEndGame(results)
+        }
     }
 
 }
\ No newline at end of file
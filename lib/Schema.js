@@ -0,0 +1,233 @@
+'use strict'
+
+/**
+ * Validation of the client inputs against JSON-Schema-style descriptions.
+ * Supported keywords: type, enum, const, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ * minLength, maxLength, pattern, items, minItems, maxItems, uniqueItems, properties, required and additionalProperties.
+ * This module has no external dependency, so that clients can bundle it to validate their inputs before sending them.
+ */
+
+const ValidationError = require('./ValidationError')
+
+/**
+ * @typedef {Object} ValidationFailure
+ * @property {string} path the JSON pointer of the invalid value in the input, e.g. "/avatar/color"
+ * @property {string} reason why the value is invalid
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {Boolean} valid whether the input is valid
+ * @property {string} [reason] why the input is invalid
+ * @property {string} [field] the name of the invalid field
+ * @property {any} [details] additional details for the client
+ */
+
+// Type checkers, indexed by JSON Schema type
+const TYPES = {
+    string: (value) => typeof value === 'string',
+    number: (value) => Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    null: (value) => value === null
+}
+
+const isEqual = (a, b) => {
+    return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Check the number keywords
+ */
+const checkNumber = (schema, value) => {
+    if (schema.minimum !== undefined && value < schema.minimum)
+    {
+        return `must be >= ${schema.minimum}`
+    }
+    if (schema.maximum !== undefined && value > schema.maximum)
+    {
+        return `must be <= ${schema.maximum}`
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+    {
+        return `must be > ${schema.exclusiveMinimum}`
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+    {
+        return `must be < ${schema.exclusiveMaximum}`
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf))
+    {
+        return `must be a multiple of ${schema.multipleOf}`
+    }
+    return null
+}
+
+/**
+ * Check the string keywords
+ */
+const checkString = (schema, value) => {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+    {
+        return `must have at least ${schema.minLength} characters`
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+    {
+        return `must have at most ${schema.maxLength} characters`
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value))
+    {
+        return `must match the pattern ${schema.pattern}`
+    }
+    return null
+}
+
+/**
+ * Check the array keywords, except items
+ */
+const checkArray = (schema, value) => {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+    {
+        return `must have at least ${schema.minItems} items`
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+    {
+        return `must have at most ${schema.maxItems} items`
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex((other) => isEqual(item, other)) !== index))
+    {
+        return 'must not have duplicate items'
+    }
+    return null
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema the JSON-Schema-style description of the value
+ * @param {any} value the value to validate
+ * @param {string} [path=''] the JSON pointer of the value in the whole input
+ * @returns {(ValidationFailure|null)} the first failure found, or null if the value is valid
+ */
+const validateSchema = (schema, value, path = '') => {
+    const fail = (reason) => ({ path, reason })
+
+    // Check the type and the allowed values
+    const types = [].concat(schema.type || [])
+    if (types.length > 0 && !types.some((type) => TYPES[type] && TYPES[type](value)))
+    {
+        return fail(`must be of type ${types.join(' or ')}`)
+    }
+    if (schema.const !== undefined && !isEqual(value, schema.const))
+    {
+        return fail(`must be equal to ${JSON.stringify(schema.const)}`)
+    }
+    if (schema.enum !== undefined && !schema.enum.some((allowed) => isEqual(value, allowed)))
+    {
+        return fail(`must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`)
+    }
+
+    // Check the keywords of the value type
+    let reason = null
+    if (TYPES.number(value))
+    {
+        reason = checkNumber(schema, value)
+    }
+    else if (TYPES.string(value))
+    {
+        reason = checkString(schema, value)
+    }
+    else if (TYPES.array(value))
+    {
+        reason = checkArray(schema, value)
+    }
+    if (reason)
+    {
+        return fail(reason)
+    }
+
+    // Check the array items
+    if (TYPES.array(value) && schema.items)
+    {
+        for (const [index, item] of value.entries())
+        {
+            const failure = validateSchema(schema.items, item, `${path}/${index}`)
+            if (failure)
+            {
+                return failure
+            }
+        }
+    }
+
+    // Check the object properties
+    if (TYPES.object(value))
+    {
+        const missing = (schema.required || []).find((key) => !Object.hasOwn(value, key))
+        if (missing !== undefined)
+        {
+            return fail(`must have the property ${missing}`)
+        }
+
+        const properties = schema.properties || {}
+        for (const [key, property] of Object.entries(value))
+        {
+            const propertySchema = Object.hasOwn(properties, key) ? properties[key] : schema.additionalProperties
+            if (propertySchema === false)
+            {
+                return fail(`must not have the property ${key}`)
+            }
+
+            const pointer = `${path}/${key.replaceAll('~', '~0').replaceAll('/', '~1')}`
+            const failure = TYPES.object(propertySchema) ? validateSchema(propertySchema, property, pointer) : null
+            if (failure)
+            {
+                return failure
+            }
+        }
+    }
+
+    return null
+}
+
+/**
+ * Run a validator against a client input. Validators are either schemas, or functions returning a boolean
+ * or a ValidationResult, or throwing a ValidationError.
+ * @param {(Function|Object)} validator the validation function or schema
+ * @param {...any} inputs the client input, followed by the other arguments of the validation function
+ * @returns {(ValidationFailure|Object|null)} the failure details sent to the client, or null if the input is valid
+ */
+const runValidator = (validator, ...inputs) => {
+    if (!(validator instanceof Function))
+    {
+        return validateSchema(validator, inputs[0])
+    }
+
+    let result = null
+    try
+    {
+        result = validator(...inputs)
+    }
+    catch (error)
+    {
+        if (!(error instanceof ValidationError))
+        {
+            throw error
+        }
+        return { reason: error.message, field: error.field, details: error.details }
+    }
+
+    // Structured results
+    if (TYPES.object(result) && Object.hasOwn(result, 'valid'))
+    {
+        const { valid, ...failure } = result
+        return valid ? null : failure
+    }
+    return result ? null : {}
+}
+
+module.exports = {
+    validateSchema,
+    runValidator,
+    ValidationError
+}
\ No newline at end of file
@@ -1,14 +1,28 @@
 const io = require('socket.io')
 const uuid = require('uuid')
 
-const Helpers = require('./Helpers')
+const { createHelpers } = require('./Helpers')
 const { createLogger } = require('./Logger')
 const Errors = require('./Errors')
-const RoomPusher = require('./RoomPusher')
+const Registry = require('./Registry')
+const Matchmaker = require('./Matchmaker')
+const PasswordGuard = require('./PasswordGuard')
+const FloodGuard = require('./FloodGuard')
+const Chat = require('./Chat')
+const GameTypes = require('./GameTypes')
 const { validate, generate } = require('./DataHelpers')
+const { runValidator } = require('./Schema')
 
 const SERVER_PORT = 8080
 const MAX_NAME_LENGTH = 10
+const MAX_CODE_ATTEMPTS = 100
+const ROOM_LIST_PAGE_SIZE = 20
+const ROOM_LIST_MAX_PAGE_SIZE = 100
+const CHAT_RATE_LIMIT = { limit: 5, interval: 10 }
+const SOCKET_OPTIONS = {
+    transports: [ 'websocket' ], // disable HTTP long-polling
+    path: '/socket.io'
+}
 
 
 // Type defs
@@ -17,10 +31,18 @@ const MAX_NAME_LENGTH = 10
 /**
  * @typedef {Object} RoomObj
  * @property {string} code the room code
+ * @property {string} gameType the type of the game played in the room
+ * @property {('public'|'private')} visibility whether the room is listed in the public room list
  * @property {(Game|null)} gameInstance the game instance, if the game is started
+ * @property {(RoomPusher|null)} roomPusher the room pusher given to the game instance, if the game is started
  * @property {string} host the host socket ID
- * @property {Array.<string>} players the list of players' socket ID
+ * @property {Set.<string>} players the players' socket ID, in joining order
+ * @property {Set.<string>} spectators the spectators' socket ID
  * @property {Object} settings the room custom settings
+ * @property {(string|null)} passwordHash the hash of the room password, if any
+ * @property {Set.<string>} bannedIds the public IDs of the players banned from the room
+ * @property {Set.<string>} bannedUserIds the user IDs of the authenticated players banned from the room
+ * @property {(Timeout|null)} countdownTimer the timer starting the game once all the players are ready, if running
  */
 
 /**
@@ -30,7 +52,13 @@ const MAX_NAME_LENGTH = 10
  * @property {string} name the player name
  * @property {(string|null)} roomId the player room ID
  * @property {Boolean} online the player connection state
+ * @property {Boolean} spectator whether the player only watches their room
+ * @property {Boolean} ready whether the player is ready for the game to start, in the lobby
+ * @property {(Timeout|null)} reconnectTimer the timer removing the player if they don't reconnect in time
+ * @property {(string|null)} reconnectToken the secret token the player must provide to reconnect
  * @property {Object} data the player custom data
+ * @property {(string|null)} userId the stable user ID given by the authenticate hook, if any
+ * @property {any} profile the user profile given by the authenticate hook, if any
  */
 
 
@@ -95,31 +123,147 @@ class Server
      */
     maxNameLength = 1
 
+    /**
+     * What to do with a room whose game code throws
+     * @type {('keep'|'lobby'|'destroy')}
+     */
+    gameErrorPolicy = 'keep'
+
+    /**
+     * How to choose a new host when the host leaves
+     * @type {('none'|'oldest'|'random'|Function)}
+     */
+    hostMigration = 'none'
+
+    /**
+     * Maximum number of spectators per room
+     * @type {number}
+     */
+    maxSpectators = 0
+
+    /**
+     * Whether players can join a room whose game is started
+     * @type {Boolean}
+     */
+    allowLateJoin = false
+
+    /**
+     * Number of seconds disconnected players keep their slot in their room (0 to disable)
+     * @type {number}
+     */
+    reconnectTimeout = 0
+
+    /**
+     * Secret used to sign the reconnection tokens
+     * @type {(string|null)}
+     */
+    reconnectSecret = null
+
+    /**
+     * Function authenticating the sockets from their handshake
+     * @type {(Function|null)}
+     */
+    authenticate = null
+
+    /**
+     * Room codes format
+     * @type {{ length: number, alphabet: string }}
+     */
+    codeFormat = {}
+
+    /**
+     * Custom room code generator
+     * @type {(Function|null)}
+     */
+    codeGenerator = null
+
+    /**
+     * Room settings shown in the public room list: a list of keys, or a function projecting the settings
+     * @type {(Array.<string>|Function)}
+     */
+    roomListSettings = []
+
+    /**
+     * Whether the rooms assembled by the matchmaking start their game automatically
+     * @type {Boolean}
+     */
+    autoStartMatches = false
+
+    /**
+     * Whether all the players must be ready before the game can start
+     * @type {Boolean}
+     */
+    requireReady = false
+
+    /**
+     * Number of seconds of the countdown starting the game once all the players are ready (0 to disable)
+     * @type {number}
+     */
+    autoStartCountdown = 0
+
     //=====================
     // Private attributes
     //=====================
 
     /**
-     * List of rooms
+     * socket.io namespace of the server
+     * @type {io.Namespace}
+     */
+    #namespace = null
+
+    /**
+     * Registry of the rooms and players
+     * @type {Registry}
+     */
+    #registry = new Registry()
+
+    /**
+     * Connection, disconnection, leave and destroy logic, bound to the server registry (see createHelpers)
+     * @type {Object}
+     */
+    #helpers = null
+
+    /**
+     * List of rooms (read-only, see Registry)
      * @type {Object.<string, RoomObj>}
      */
-    #rooms = {}
+    #rooms = this.#registry.rooms
 
     /**
-     * List of players
+     * List of players (read-only, see Registry)
      * @type {Object.<string, PlayerObj>}
      */
-    #players = {}
+    #players = this.#registry.players
 
     /**
-     * The game class
+     * Game types hosted by the server
+     * @type {GameTypes}
      */
-    #gameClass = null
+    #games = null
 
     /**
-     * List of game actions
+     * Matchmaking queue
+     * @type {Matchmaker}
      */
-    #actions = []
+    #matchmaker = null
+
+    /**
+     * Room passwords hashing and checking
+     * @type {PasswordGuard}
+     */
+    #passwordGuard = null
+
+    /**
+     * Rate limiter of the socket commands
+     * @type {FloodGuard}
+     */
+    #floodGuard = null
+
+    /**
+     * Room chats
+     * @type {Chat}
+     */
+    #chat = null
 
 
     //=====================
@@ -137,14 +281,33 @@ class Server
         playerDataValidator = () => true,
         roomSettingsValidator = () => true,
         roomSettingsChecker = () => true,
-        maxNameLength = MAX_NAME_LENGTH
+        maxNameLength = MAX_NAME_LENGTH,
+        gameErrorPolicy = 'keep',
+        hostMigration = 'none',
+        maxSpectators = 0,
+        allowLateJoin = false,
+        reconnectTimeout = 0,
+        reconnectSecret = null,
+        authenticate = null,
+        codeLength,
+        codeAlphabet,
+        codeGenerator = null,
+        roomListSettings = [],
+        matchmaking: { targetSize = null, autoStart = false, timeout = 0, bucket } = {},
+        passwordThrottle = {},
+        requireReady = false,
+        autoStartCountdown = 0,
+        chat: { maxLength, historySize, filter, rateLimit: chatRateLimit = CHAT_RATE_LIMIT } = {},
+        games = null,
+        rateLimit = {},
+        path = SOCKET_OPTIONS.path,
+        namespace = '/',
+        socketOptions = {}
     })
     {
-        this.io = io({
-            transports: [ 'websocket' ] // disable HTTP long-polling
-        })
-        this.#gameClass = gameClass
-        this.#actions = actions
+        // Each server has its own socket.io server: servers sharing an HTTP server are told apart by their path only
+        this.io = io({ ...SOCKET_OPTIONS, path, ...socketOptions })
+        this.#namespace = this.io.of(namespace)
         this.minPlayers = minPlayers
         this.maxPlayers = maxPlayers
         this.defaultPlayerData = defaultPlayerData
@@ -153,7 +316,48 @@ class Server
         this.roomSettingsValidator = roomSettingsValidator
         this.roomSettingsChecker = roomSettingsChecker
         this.maxNameLength = maxNameLength
+        this.gameErrorPolicy = gameErrorPolicy
+        this.hostMigration = hostMigration
+        this.maxSpectators = maxSpectators
+        this.allowLateJoin = allowLateJoin
+        this.reconnectTimeout = reconnectTimeout
+        this.reconnectSecret = reconnectSecret
+        this.authenticate = authenticate
+        this.codeFormat = { length: codeLength, alphabet: codeAlphabet }
+        this.codeGenerator = codeGenerator
+        this.roomListSettings = roomListSettings
+        this.autoStartMatches = autoStart
+        this.requireReady = requireReady
+        this.autoStartCountdown = autoStartCountdown
         this.logger = createLogger({ level, defaultMeta })
+        this.#games = new GameTypes(games, {
+            gameClass,
+            minPlayers,
+            maxPlayers,
+            defaultPlayerData,
+            defaultRoomSettings,
+            actions,
+            playerDataValidator,
+            roomSettingsValidator,
+            roomSettingsChecker
+        })
+        this.#matchmaker = new Matchmaker({
+            targetSize: (gameType) =>
+            {
+                const game = this.#games.get(gameType)
+                return Math.min(targetSize || game.minPlayers, game.maxPlayers)
+            },
+            timeout,
+            bucket,
+            onMatch: (entries) => this.#assembleMatch(entries),
+            logger: this.logger
+        })
+        this.#passwordGuard = new PasswordGuard(passwordThrottle)
+        this.#floodGuard = new FloodGuard({
+            ...rateLimit,
+            commands: { sendChat: chatRateLimit, ...rateLimit.commands }
+        })
+        this.#chat = new Chat({ io: this.#namespace, logger: this.logger, maxLength, historySize, filter })
     }
 
     //=====================
@@ -167,33 +371,69 @@ class Server
      */
     run({ port = SERVER_PORT, httpServer = null } = {})
     {
-        // Init Helpers
-        Helpers.init({ io: this.io, players: this.#players, rooms: this.#rooms, logger: this.logger })
+        // Create the helpers
+        this.#helpers = createHelpers({
+            io: this.#namespace,
+            registry: this.#registry,
+            logger: this.logger,
+            gameErrorPolicy: this.gameErrorPolicy,
+            hostMigration: this.hostMigration,
+            reconnectTimeout: this.reconnectTimeout,
+            reconnectSecret: this.reconnectSecret,
+            games: this.#games,
+            autoStartCountdown: this.autoStartCountdown,
+            roomListSettings: this.roomListSettings,
+            chat: this.#chat
+        })
+
+        // Authenticate the sockets before their connection
+        if (this.authenticate instanceof Function)
+        {
+            this.#namespace.use((socket, next) => this.#authenticateSocket(socket, next))
+        }
 
         // IO connection event
-        this.io.on('connection', (socket) =>
+        this.#namespace.on('connection', (socket) =>
         {
             // Connect
-            Helpers.connect(socket)
+            this.#helpers.connect(socket)
 
             // Default actions
-            socket.on('createRoom', this.createRoom(socket))
-            socket.on('joinRoom', this.joinRoom(socket))
-            socket.on('leaveRoom', this.leaveRoom(socket))
-            socket.on('getRoom', this.getRoom(socket))
-            socket.on('setPlayer', this.setPlayer(socket))
-            socket.on('getPlayerData', this.getPlayerData(socket))
-            socket.on('setRoomSettings', this.setRoomSettings(socket))
-            socket.on('startGame', this.startGame(socket))
+            this.#listen(socket, 'listRooms', this.listRooms(socket))
+            this.#listen(socket, 'subscribeRoomList', this.subscribeRoomList(socket))
+            this.#listen(socket, 'unsubscribeRoomList', this.unsubscribeRoomList(socket))
+            this.#listen(socket, 'joinQueue', this.joinQueue(socket))
+            this.#listen(socket, 'leaveQueue', this.leaveQueue(socket))
+            this.#listen(socket, 'createRoom', this.createRoom(socket))
+            this.#listen(socket, 'joinRoom', this.joinRoom(socket))
+            this.#listen(socket, 'spectateRoom', this.spectateRoom(socket))
+            this.#listen(socket, 'leaveRoom', this.leaveRoom(socket))
+            this.#listen(socket, 'getRoom', this.getRoom(socket))
+            this.#listen(socket, 'setPlayer', this.setPlayer(socket))
+            this.#listen(socket, 'setReady', this.setReady(socket))
+            this.#listen(socket, 'sendChat', this.sendChat(socket))
+            this.#listen(socket, 'getPlayerData', this.getPlayerData(socket))
+            this.#listen(socket, 'setRoomSettings', this.setRoomSettings(socket))
+            this.#listen(socket, 'setRoomPassword', this.setRoomPassword(socket))
+            this.#listen(socket, 'startGame', this.startGame(socket))
+            this.#listen(socket, 'transferHost', this.transferHost(socket))
+            this.#listen(socket, 'kickPlayer', this.kickPlayer(socket))
+            this.#listen(socket, 'banPlayer', this.banPlayer(socket))
 
             // Custom actions
-            this.#actions.forEach(({ name, inputValidator }) =>
+            this.#games.getActionNames().forEach((name) =>
             {
-                socket.on(name, this.customAction(socket, name, inputValidator))
+                this.#listen(socket, name, this.customAction(socket, name))
             })
 
             // Disconnect
-            socket.on('disconnect', () => { Helpers.disconnect(socket) })
+            socket.on('disconnect', () =>
+            {
+                this.#matchmaker.leave(socket.id)
+                this.#passwordGuard.forget(socket.id)
+                this.#floodGuard.forget(socket.id)
+                this.#helpers.disconnect(socket)
+            })
         })
 
         // Open HTTP server
@@ -202,8 +442,11 @@ class Server
             // Attach the given server
             this.io.attach(httpServer)
 
-            // Launch server
-            httpServer.listen(port)
+            // Launch server, unless another room.io server sharing it already did
+            if (!httpServer.listening && httpServer.address() === null)
+            {
+                httpServer.listen(port)
+            }
 
             // Log port
             this.logger.server(`HTTP server running at localhost:${port}/`)
@@ -219,11 +462,79 @@ class Server
 
     }
 
+    /**
+     * Get the player data, room settings and action input schemas of the game types, to share them with the clients
+     * @returns {Object} the schemas, indexed by game type
+     */
+    getSchemas()
+    {
+        return this.#games.getSchemas()
+    }
+
 
     //=====================
     // Private methods
     //=====================
 
+    /**
+     * Listen to a command of a socket, throttled by its rate limit.
+     * Sockets that keep exceeding their rate limits are disconnected.
+     */
+    #listen(socket, name, handler)
+    {
+        socket.on(name, (...args) =>
+        {
+            // Game actions can have their own rate limit
+            const room = this.#getPlayerRoom(socket)
+            const action = room ? this.#games.getAction(room.gameType, name) : null
+
+            if (this.#floodGuard.allow(socket.id, name, action))
+            {
+                handler(...args)
+                return
+            }
+
+            this.#helpers.replyError(socket, name, Errors.rateLimited)
+
+            // Disconnect the flooding sockets
+            if (this.#floodGuard.strike(socket.id))
+            {
+                this.logger.warn(`Disconnecting a socket flooding the server`, { socket: socket.id })
+                socket.disconnect(true)
+            }
+        })
+    }
+
+    /**
+     * socket.io middleware running the authenticate hook on the socket handshake.
+     * The hook returns the user ID and profile, or a falsy value to reject the socket.
+     */
+    async #authenticateSocket(socket, next)
+    {
+        let user = null
+        try
+        {
+            user = await this.authenticate(socket.handshake)
+        }
+        catch (error)
+        {
+            this.logger.warn(`Authentication failed => ${error.message}`, { socket: socket.id })
+        }
+
+        // Reject the unauthenticated sockets
+        const hasUserId = !!user && (typeof user.userId === 'string' || typeof user.userId === 'number')
+        if (!hasUserId)
+        {
+            const error = new Error(Errors.unauthenticated.serverLog)
+            error.data = { code: Errors.unauthenticated.code }
+            return next(error)
+        }
+
+        // Attach the user to the socket
+        socket.data.user = { userId: String(user.userId), profile: (user.profile !== undefined) ? user.profile : null }
+        return next()
+    }
+
     #getPlayer(socket)
     {
         return this.#players[socket.id]
@@ -235,19 +546,43 @@ class Server
     }
 
     /**
-     * Get the player's current room if any
+     * Tells if the given room code has the configured format.
+     * Custom generated codes can only be checked against the existing rooms.
      */
-    #getRoomIdFromCode(code)
+    #validateCode(code)
     {
-        const roomIds = Object.keys(this.#rooms)
-        for (const roomId of roomIds) {
-            if (this.#rooms[roomId].code === code) {
-                return roomId
+        if (this.codeGenerator)
+        {
+            return (typeof code === 'string') && code.length > 0
+        }
+        return validate.code(code, this.codeFormat)
+    }
+
+    /**
+     * Generate a room code not used by any existing room
+     * @returns {(string|null)} the room code, or null if no unused code could be found
+     */
+    #generateRoomCode()
+    {
+        for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++)
+        {
+            const code = this.codeGenerator ? this.codeGenerator() : generate.roomCode(this.codeFormat)
+            if (!this.#getRoomIdFromCode(code))
+            {
+                return code
             }
         }
         return null
     }
 
+    /**
+     * Get the ID of the room with the given code if any
+     */
+    #getRoomIdFromCode(code)
+    {
+        return this.#registry.getRoomIdFromCode(code)
+    }
+
     #setPlayerData(socket, data)
     {
         // Store the player data
@@ -281,9 +616,182 @@ class Server
         }
     }
 
-    #formatPlayers(playerIds, fields)
+    /**
+     * Create a room hosted by the given player, whose name and data must be set beforehand
+     * @returns {(string|null)} the room ID, or null if no room code is available
+     */
+    #openRoom(socket, { gameType = this.#games.defaultType, roomSettings, visibility = 'private', passwordHash = null } = {})
     {
-        return playerIds.map((playerId) => this.#formatPlayer(playerId, fields)).filter(Boolean)
+        // Find a room code
+        const roomCode = this.#generateRoomCode()
+        if (roomCode === null)
+        {
+            return null
+        }
+
+        // Create the room
+        const roomId = `room_${uuid.v4()}`
+
+        this.#registry.addRoom(roomId, {
+            code: roomCode,
+            gameType,
+            visibility,
+            gameInstance: null,
+            roomPusher: null,
+            host: socket.id,
+            players: new Set(),
+            spectators: new Set(),
+            settings: (roomSettings !== undefined) ? roomSettings : this.#games.get(gameType).defaultRoomSettings,
+            passwordHash,
+            bannedIds: new Set(),
+            bannedUserIds: new Set(),
+            countdownTimer: null
+        })
+
+        // Server log
+        this.logger.room(`Room created with code : ${roomCode}`, { room: roomId })
+
+        // Join the room
+        this.#registry.joinRoom(socket.id, roomId)
+        this.#matchmaker.leave(socket.id)
+
+        // Make the host join the io room
+        socket.join(roomId)
+
+        // Update the public room list
+        this.#helpers.notifyRoomList(this.#rooms[roomId])
+
+        return roomId
+    }
+
+    /**
+     * Check the password given by a player to enter a room, if the room has one.
+     * The player may have joined another room, or the room may be destroyed, once the check is done.
+     * @returns {Promise.<(Object|null)>} the error if the player cannot enter the room, null otherwise
+     */
+    async #checkRoomPassword(socket, roomId, password)
+    {
+        const { passwordHash } = this.#rooms[roomId]
+        if (passwordHash === null)
+        {
+            return null
+        }
+
+        // Compare the passwords
+        const error = await this.#passwordGuard.check(socket.id, password, passwordHash)
+        if (error)
+        {
+            return error
+        }
+
+        // Check that nothing changed meanwhile
+        if (!this.#getPlayer(socket) || this.#getPlayerRoom(socket))
+        {
+            return Errors.alreadyInRoom
+        }
+        if (!this.#rooms[roomId])
+        {
+            return Errors.roomNotFound
+        }
+        return this.#helpers.checkAccess(socket.id, roomId)
+    }
+
+    /**
+     * Handler shared by the kickPlayer and banPlayer commands
+     */
+    #moderate(socket, query, ban)
+    {
+        return ({ playerId } = {}) =>
+        {
+            this.logger.info(`requesting to ${ban ? 'ban' : 'kick'} the player ${playerId}`, { socket: socket.id })
+
+            // Check that the player is in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (!playerRoom)
+            {
+                return this.#helpers.replyError(socket, query, Errors.notInRoom)
+            }
+
+            // Check that the player is the host
+            if (playerRoom.host !== socket.id)
+            {
+                return this.#helpers.replyError(socket, query, Errors.notHost)
+            }
+
+            // Check that the target is another player or a spectator of the room
+            const targetId = this.#registry.getPlayerIdFromPublicId(playerId)
+            if (!targetId || targetId === socket.id || !(playerRoom.players.has(targetId) || playerRoom.spectators.has(targetId)))
+            {
+                return this.#helpers.replyError(socket, query, Errors.playerNotFound)
+            }
+
+            // Remove the target from the room
+            this.#helpers.kickPlayer(targetId, ban)
+
+            // Reply
+            return this.#helpers.reply(socket, query)
+        }
+    }
+
+    /**
+     * Create a room for players matched by the matchmaking queue. The first matched player is the host.
+     * @emits matchFound
+     */
+    #assembleMatch(entries)
+    {
+        // Set the players name & data
+        entries.forEach(({ socket, playerName, playerData }) =>
+        {
+            this.#setPlayerName(socket, playerName)
+            this.#setPlayerData(socket, playerData)
+        })
+
+        // Create the room
+        const [hostEntry, ...guestEntries] = entries
+        const roomId = this.#openRoom(hostEntry.socket, { gameType: hostEntry.gameType })
+        if (roomId === null)
+        {
+            entries.forEach(({ socket }) => this.#helpers.sendError(socket, Errors.roomCodeUnavailable))
+            return
+        }
+
+        // Make the other players join
+        guestEntries.forEach(({ socket }) => this.#enterRoom(socket, roomId))
+
+        // Warn the players
+        const roomCode = this.#rooms[roomId].code
+        entries.forEach(({ socket }) => socket.emit('matchFound', { roomCode }))
+
+        // Start the game
+        if (this.autoStartMatches)
+        {
+            const error = this.#helpers.launchGame(roomId, { socket: hostEntry.socket.id })
+            if (error)
+            {
+                this.logger.warn(`Could not start the matched game => ${error.serverLog}`, { room: roomId })
+            }
+        }
+    }
+
+    /**
+     * Make a player join a room, whose name and data must be set beforehand
+     * @emits roomUpdated
+     * @emits playerJoined
+     */
+    #enterRoom(socket, roomId)
+    {
+        const player = this.#getPlayer(socket)
+
+        // Join the room
+        this.#registry.joinRoom(socket.id, roomId)
+        this.#matchmaker.leave(socket.id)
+
+        // Join the io room
+        socket.join(roomId)
+
+        // Broadcast to others
+        this.#helpers.roomUpdated(roomId)
+        this.#namespace.to(roomId).emit('playerJoined', { playerId: player.publicId, name: player.name })
     }
 
 
@@ -291,135 +799,362 @@ class Server
     // Private default IO handlers
     //===============================
 
-    createRoom(socket)
+    listRooms(socket)
     {
-        return ({ playerName, playerData, roomSettings } = {}) =>
+        return ({ filter = {}, offset = 0, limit = ROOM_LIST_PAGE_SIZE } = {}) =>
         {
-            this.logger.info('requesting to create a room.', { socket: socket.id })
+            this.logger.info(`requesting the public room list`, { socket: socket.id })
 
-            // Get player
-            const player = this.#getPlayer(socket)
+            // Validate the user inputs
+            if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || !filter || typeof filter !== 'object')
+            {
+                return this.#helpers.replyError(socket, 'listRooms', Errors.invalid.input)
+            }
+            const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+            if (filter.settings !== undefined && !isPlainObject(filter.settings))
+            {
+                return this.#helpers.replyError(socket, 'listRooms', Errors.invalid.input)
+            }
 
-            // Check if not already in a room
+            // List the public lobbies matching the filter
+            const rooms = this.#helpers.listRooms(filter)
+
+            // Reply
+            return this.#helpers.reply(socket, 'listRooms', {
+                rooms: rooms.slice(offset, offset + Math.min(limit, ROOM_LIST_MAX_PAGE_SIZE)),
+                total: rooms.length
+            })
+        }
+    }
+
+    subscribeRoomList(socket)
+    {
+        return () =>
+        {
+            this.logger.info(`subscribing to the public room list`, { socket: socket.id })
+
+            // Join the room list io room
+            socket.join(this.#helpers.roomListRoom())
+
+            // Reply
+            return this.#helpers.reply(socket, 'subscribeRoomList')
+        }
+    }
+
+    unsubscribeRoomList(socket)
+    {
+        return () =>
+        {
+            this.logger.info(`unsubscribing from the public room list`, { socket: socket.id })
+
+            // Leave the room list io room
+            socket.leave(this.#helpers.roomListRoom())
+
+            // Reply
+            return this.#helpers.reply(socket, 'unsubscribeRoomList')
+        }
+    }
+
+    joinQueue(socket)
+    {
+        return ({ playerName, playerData, queueKey, gameType = this.#games.defaultType } = {}) =>
+        {
+            this.logger.info('requesting to join the matchmaking queue.', { socket: socket.id })
+
+            // Check if not already in a room or in the queue, with this socket or another socket of the account
             const playerRoom = this.#getPlayerRoom(socket)
             if (playerRoom)
             {
-                return Helpers.replyError(socket, 'createRoom', Errors.alreadyInRoom)
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.alreadyInRoom)
+            }
+            const accountIds = this.#registry.getPlayerIdsFromUserId(this.#getPlayer(socket).userId)
+            if (this.#matchmaker.has(socket.id) || accountIds.some((playerId) => this.#matchmaker.has(playerId)))
+            {
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.alreadyInQueue)
             }
 
             // Validate the user inputs
             if (!validate.playerName(playerName))
             {
-                return Helpers.replyError(socket, 'createRoom', Errors.invalid.playerName)
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.invalid.playerName)
+            }
+            if (!this.#games.has(gameType))
+            {
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.invalid.gameType)
             }
-            if (playerData !== undefined && !this.playerDataValidator(playerData))
+            const game = this.#games.get(gameType)
+            const playerDataFailure = (playerData !== undefined) && runValidator(game.playerDataValidator, playerData)
+            if (playerDataFailure)
             {
-                return Helpers.replyError(socket, 'createRoom', Errors.invalid.playerData)
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.invalid.playerData, playerDataFailure)
             }
-            if (roomSettings !== undefined && !this.roomSettingsValidator(roomSettings))
+            if (queueKey !== undefined && typeof queueKey !== 'string')
             {
-                return Helpers.replyError(socket, 'createRoom', Errors.invalid.roomSettings)
+                return this.#helpers.replyError(socket, 'joinQueue', Errors.invalid.input)
             }
 
-            // Create the room
-            const roomId = `room_${uuid.v4()}`
-            const roomCode = generate.roomCode()
+            // Reply
+            this.#helpers.reply(socket, 'joinQueue')
+
+            // Wait for a match
+            return this.#matchmaker.join(socket, {
+                playerName,
+                playerData: (playerData !== undefined) ? playerData : game.defaultPlayerData,
+                queueKey,
+                gameType
+            })
+        }
+    }
+
+    leaveQueue(socket)
+    {
+        return () =>
+        {
+            this.logger.info('requesting to leave the matchmaking queue.', { socket: socket.id })
+
+            // Leave the queue
+            if (!this.#matchmaker.leave(socket.id))
+            {
+                return this.#helpers.replyError(socket, 'leaveQueue', Errors.notInQueue)
+            }
+
+            // Reply
+            return this.#helpers.reply(socket, 'leaveQueue')
+        }
+    }
+
+    createRoom(socket)
+    {
+        return async ({
+            playerName,
+            playerData,
+            roomSettings,
+            visibility = 'private',
+            password = null,
+            gameType = this.#games.defaultType
+        } = {}) =>
+        {
+            this.logger.info('requesting to create a room.', { socket: socket.id })
 
-            this.#rooms[roomId] = {
-                code: roomCode,
-                gameInstance: null,
-                host: socket.id,
-                players: [socket.id],
-                settings: (roomSettings !== undefined) ? roomSettings : this.defaultRoomSettings
+            // Check if not already in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (playerRoom)
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.alreadyInRoom)
             }
 
-            // Server log
-            this.logger.room(`Room created with code : ${roomCode}`, { room: roomId })
+            // Validate the user inputs
+            if (!validate.playerName(playerName))
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.playerName)
+            }
+            if (!this.#games.has(gameType))
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.gameType)
+            }
+            const game = this.#games.get(gameType)
+            const playerDataFailure = (playerData !== undefined) && runValidator(game.playerDataValidator, playerData)
+            if (playerDataFailure)
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.playerData, playerDataFailure)
+            }
+            const roomSettingsFailure = (roomSettings !== undefined) && runValidator(game.roomSettingsValidator, roomSettings)
+            if (roomSettingsFailure)
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.roomSettings, roomSettingsFailure)
+            }
+            if (!validate.visibility(visibility))
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.visibility)
+            }
+            if (password !== null && !this.#passwordGuard.validate(password))
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.invalid.password)
+            }
 
-            // Join the room
-            player.roomId = roomId
+            // Hash the room password
+            const passwordHash = (password !== null) ? await this.#passwordGuard.hash(password) : null
 
-            // Make the host join the io room
-            socket.join(roomId)
+            // Check that the player did not disconnect or join a room meanwhile
+            if (!this.#getPlayer(socket) || this.#getPlayerRoom(socket))
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.alreadyInRoom)
+            }
 
             // Update host name & data
             this.#setPlayerName(socket, playerName)
-            this.#setPlayerData(socket, (playerData !== undefined) ? playerData : this.defaultPlayerData)
+            this.#setPlayerData(socket, (playerData !== undefined) ? playerData : game.defaultPlayerData)
+
+            // Create the room
+            const roomId = this.#openRoom(socket, { gameType, roomSettings, visibility, passwordHash })
+            if (roomId === null)
+            {
+                return this.#helpers.replyError(socket, 'createRoom', Errors.roomCodeUnavailable)
+            }
 
             // Reply
-            return Helpers.reply(socket, 'createRoom')
+            return this.#helpers.reply(socket, 'createRoom')
         }
     }
 
     /**
      * @emits roomUpdated
+     * @emits playerJoined
      */
     joinRoom(socket)
     {
-        return ({ playerName, playerData, roomCode } = {}) =>
+        return async ({ playerName, playerData, roomCode, password } = {}) =>
         {
             this.logger.info(`requesting to join a room the room with code ${roomCode}`, { socket: socket.id })
 
-            // Get player
-            const player = this.#getPlayer(socket)
-
             // Check if not already in a room
             const playerRoom = this.#getPlayerRoom(socket)
             if (playerRoom)
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.alreadyInRoom)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.alreadyInRoom)
             }
 
             // Validate the user inputs
             if (!validate.playerName(playerName))
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.invalid.playerName)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.invalid.playerName)
             }
-            if (playerData !== undefined && !this.playerDataValidator(playerData))
+            if (!this.#validateCode(roomCode))
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.invalid.playerData)
-            }
-            if (!validate.code(roomCode))
-            {
-                return Helpers.replyError(socket, 'joinRoom', Errors.invalid.code)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.invalid.code)
             }
 
             // Check that the room exists
             const roomId = this.#getRoomIdFromCode(roomCode)
             if (!roomId)
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.roomNotFound)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.roomNotFound)
+            }
+
+            // Validate the player data against the room game
+            const game = this.#games.get(this.#rooms[roomId].gameType)
+            const playerDataFailure = (playerData !== undefined) && runValidator(game.playerDataValidator, playerData)
+            if (playerDataFailure)
+            {
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.invalid.playerData, playerDataFailure)
+            }
+
+            // Check that the player is not banned from the room, nor already in it with another socket of their account
+            const accessError = this.#helpers.checkAccess(socket.id, roomId)
+            if (accessError)
+            {
+                return this.#helpers.replyError(socket, 'joinRoom', accessError)
             }
 
-            // Check that the game instance is not started (still in lobby)
+            // Check the room password
+            const passwordError = await this.#checkRoomPassword(socket, roomId, password)
+            if (passwordError)
+            {
+                return this.#helpers.replyError(socket, 'joinRoom', passwordError)
+            }
+
+            // Check that the game instance is not started (still in lobby), unless late joins are allowed
             const room = this.#rooms[roomId]
-            if (room.gameInstance !== null)
+            if (room.gameInstance !== null && !this.allowLateJoin)
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.gameAlreadyStarted)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.gameAlreadyStarted)
             }
 
             // Check that the room is not full
-            if (room.players.length >= this.maxPlayers)
+            if (room.players.size >= game.maxPlayers)
             {
-                return Helpers.replyError(socket, 'joinRoom', Errors.roomIsFull)
+                return this.#helpers.replyError(socket, 'joinRoom', Errors.roomIsFull)
+            }
+
+            // Update player name & data
+            this.#setPlayerName(socket, playerName)
+            this.#setPlayerData(socket, (playerData !== undefined) ? playerData : game.defaultPlayerData)
+
+            // Let the running game accept or refuse the new player
+            if (room.gameInstance !== null && !this.#helpers.acceptLateJoin(socket, roomId))
+            {
+                return undefined
             }
 
             // Join the room
-            player.roomId = roomId
-            room.players.push(socket.id)
+            this.#enterRoom(socket, roomId)
+
+            // Reply
+            return this.#helpers.reply(socket, 'joinRoom')
+        }
+    }
+
+    /**
+     * @emits roomUpdated
+     */
+    spectateRoom(socket)
+    {
+        return async ({ playerName, roomCode, password } = {}) =>
+        {
+            this.logger.info(`requesting to spectate the room with code ${roomCode}`, { socket: socket.id })
+
+            // Check if not already in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (playerRoom)
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', Errors.alreadyInRoom)
+            }
+
+            // Validate the user inputs
+            if (!validate.playerName(playerName))
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', Errors.invalid.playerName)
+            }
+            if (!this.#validateCode(roomCode))
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', Errors.invalid.code)
+            }
+
+            // Check that the room exists
+            const roomId = this.#getRoomIdFromCode(roomCode)
+            if (!roomId)
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', Errors.roomNotFound)
+            }
+
+            // Check that the player is not banned from the room, nor already in it with another socket of their account
+            const accessError = this.#helpers.checkAccess(socket.id, roomId)
+            if (accessError)
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', accessError)
+            }
+
+            // Check the room password
+            const passwordError = await this.#checkRoomPassword(socket, roomId, password)
+            if (passwordError)
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', passwordError)
+            }
 
-            // Join the io room
+            // Check that the room accepts another spectator
+            const room = this.#rooms[roomId]
+            if (room.spectators.size >= this.maxSpectators)
+            {
+                return this.#helpers.replyError(socket, 'spectateRoom', Errors.tooManySpectators)
+            }
+
+            // Join the room as a spectator
+            this.#registry.spectateRoom(socket.id, roomId)
+            this.#matchmaker.leave(socket.id)
+
+            // Join the io rooms
             socket.join(roomId)
+            socket.join(this.#helpers.spectatorsRoom(roomId))
 
-            // Update player name & data
+            // Update spectator name
             this.#setPlayerName(socket, playerName)
-            this.#setPlayerData(socket, (playerData !== undefined) ? playerData : this.defaultPlayerData)
+            this.#setPlayerData(socket, {})
 
             // Broadcast to others
-            this.io.to(roomId).emit('roomUpdated')
+            this.#helpers.roomUpdated(roomId)
 
             // Reply
-            return Helpers.reply(socket, 'joinRoom')
+            return this.#helpers.reply(socket, 'spectateRoom')
         }
     }
 
@@ -433,14 +1168,14 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'leaveRoom', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'leaveRoom', Errors.notInRoom)
             }
 
             // Leave the room, but don't remove the player
-            Helpers.leaveRoom(socket.id, false)
+            this.#helpers.leaveRoom(socket.id, false)
 
             // Reply
-            return Helpers.reply(socket, 'leaveRoom')
+            return this.#helpers.reply(socket, 'leaveRoom')
         }
     }
 
@@ -454,23 +1189,31 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'getRoom', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'getRoom', Errors.notInRoom)
             }
 
             // Send response
             const infos = {
                 code: playerRoom.code,
+                gameType: playerRoom.gameType,
                 isHost: playerRoom.host === socket.id,
-                players: playerRoom.players.map((playerId) =>
+                isSpectator: this.#getPlayer(socket).spectator,
+                players: [...playerRoom.players].map((playerId) =>
+                {
+                    const { name, data, publicId, online, ready } = this.#players[playerId]
+                    return { name, data, publicId, online, ready }
+                }),
+                spectators: [...playerRoom.spectators].map((playerId) =>
                 {
-                    const { name, data, publicId } = this.#players[playerId]
-                    return { name, data, publicId }
+                    const { name, publicId } = this.#players[playerId]
+                    return { name, publicId }
                 }),
-                settings: playerRoom.settings
+                settings: playerRoom.settings,
+                hasPassword: playerRoom.passwordHash !== null
             }
 
             // Reply
-            return Helpers.reply(socket, 'getRoom', infos)
+            return this.#helpers.reply(socket, 'getRoom', infos)
         }
     }
 
@@ -490,23 +1233,31 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'setPlayer', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'setPlayer', Errors.notInRoom)
+            }
+
+            // Check that the player is not a spectator
+            if (player.spectator)
+            {
+                return this.#helpers.replyError(socket, 'setPlayer', Errors.spectator)
             }
 
             // Check that the game is not already started
             if (playerRoom.gameInstance !== null)
             {
-                return Helpers.replyError(socket, 'setPlayer', Errors.gameAlreadyStarted)
+                return this.#helpers.replyError(socket, 'setPlayer', Errors.gameAlreadyStarted)
             }
 
             // Validate the user inputs
             if (playerName !== undefined && !validate.playerName(playerName))
             {
-                return Helpers.replyError(socket, 'setPlayer', Errors.invalid.playerName)
+                return this.#helpers.replyError(socket, 'setPlayer', Errors.invalid.playerName)
             }
-            if (playerData !== undefined && !this.playerDataValidator(playerData))
+            const { playerDataValidator } = this.#games.get(playerRoom.gameType)
+            const playerDataFailure = (playerData !== undefined) && runValidator(playerDataValidator, playerData)
+            if (playerDataFailure)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.invalid.playerData)
+                return this.#helpers.replyError(socket, 'setPlayer', Errors.invalid.playerData, playerDataFailure)
             }
             
             // Update player name & data
@@ -520,10 +1271,100 @@ class Server
             }
 
             // Broadcast to others
-            this.io.to(player.roomId).emit('roomUpdated')
+            this.#helpers.roomUpdated(player.roomId)
 
             // Reply
-            return Helpers.reply(socket, 'setPlayer')
+            return this.#helpers.reply(socket, 'setPlayer')
+        }
+    }
+
+    /**
+     * @emits roomUpdated
+     * @emits countdownStarted
+     * @emits countdownCancelled
+     */
+    setReady(socket)
+    {
+        return ({ ready } = {}) =>
+        {
+            this.logger.info(`requesting to set ready state to ${ready}`, { socket: socket.id })
+
+            // Get player
+            const player = this.#getPlayer(socket)
+
+            // Check that the player is in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (!playerRoom)
+            {
+                return this.#helpers.replyError(socket, 'setReady', Errors.notInRoom)
+            }
+
+            // Check that the player is not a spectator
+            if (player.spectator)
+            {
+                return this.#helpers.replyError(socket, 'setReady', Errors.spectator)
+            }
+
+            // Check that the game is not already started
+            if (playerRoom.gameInstance !== null)
+            {
+                return this.#helpers.replyError(socket, 'setReady', Errors.gameAlreadyStarted)
+            }
+
+            // Validate the user inputs
+            if (!validate.boolean(ready))
+            {
+                return this.#helpers.replyError(socket, 'setReady', Errors.invalid.input)
+            }
+
+            // Update the ready state
+            player.ready = ready
+
+            // Broadcast to others (this also starts or cancels the auto-start countdown)
+            this.#helpers.roomUpdated(player.roomId)
+
+            // Reply
+            return this.#helpers.reply(socket, 'setReady')
+        }
+    }
+
+    /**
+     * @emits chatMessage
+     */
+    sendChat(socket)
+    {
+        return ({ text } = {}) =>
+        {
+            this.logger.info(`sending a chat message`, { socket: socket.id })
+
+            // Get player
+            const player = this.#getPlayer(socket)
+
+            // Check that the player is in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (!playerRoom)
+            {
+                return this.#helpers.replyError(socket, 'sendChat', Errors.notInRoom)
+            }
+
+            // Validate the user inputs
+            if (!this.#chat.validate(text))
+            {
+                return this.#helpers.replyError(socket, 'sendChat', Errors.invalid.chatMessage)
+            }
+
+            // Filter the message
+            const filteredText = this.#chat.filter(text, { playerId: player.publicId, name: player.name })
+            if (filteredText === null)
+            {
+                return this.#helpers.replyError(socket, 'sendChat', Errors.invalid.chatMessage)
+            }
+
+            // Broadcast to the room
+            this.#chat.post(player.roomId, player, filteredText)
+
+            // Reply
+            return this.#helpers.reply(socket, 'sendChat')
         }
     }
 
@@ -537,11 +1378,11 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'getPlayerData', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'getPlayerData', Errors.notInRoom)
             }
 
             // Reply
-            return Helpers.reply(socket, 'getPlayerData', this.#formatPlayer(socket.id, ['publicId', 'name', 'data']))
+            return this.#helpers.reply(socket, 'getPlayerData', this.#formatPlayer(socket.id, ['publicId', 'name', 'data']))
         }
     }
 
@@ -561,41 +1402,83 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'setRoomSettings', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'setRoomSettings', Errors.notInRoom)
             }
 
             // Check that the player is the host
             const isHost = playerRoom.host === socket.id
             if (!isHost)
             {
-                return Helpers.replyError(socket, 'setRoomSettings', Errors.notHost)
+                return this.#helpers.replyError(socket, 'setRoomSettings', Errors.notHost)
             }
 
             // Validate the user inputs
-            if (!this.roomSettingsValidator(roomSettings))
+            const roomSettingsFailure = runValidator(this.#games.get(playerRoom.gameType).roomSettingsValidator, roomSettings)
+            if (roomSettingsFailure)
             {
-                return Helpers.replyError(socket, 'setRoomSettings', Errors.invalid.roomSettings)
+                return this.#helpers.replyError(socket, 'setRoomSettings', Errors.invalid.roomSettings, roomSettingsFailure)
             }
 
             // Store the data
             playerRoom.settings = roomSettings
 
             // Broadcast to others
-            this.io.to(player.roomId).emit('roomUpdated')
+            this.#helpers.roomUpdated(player.roomId)
 
             // Reply
-            return Helpers.reply(socket, 'setRoomSettings')
+            return this.#helpers.reply(socket, 'setRoomSettings')
         }
     }
 
     /**
-     * @emits gameStarted
+     * @emits roomUpdated
      */
-    startGame(socket)
+    setRoomPassword(socket)
     {
-        return () =>
+        return async ({ password = null } = {}) =>
         {
-            this.logger.info(`requesting to start the game`, { socket: socket.id })
+            this.logger.info(`requesting to update the room password.`, { socket: socket.id })
+
+            // Check that the player is in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (!playerRoom)
+            {
+                return this.#helpers.replyError(socket, 'setRoomPassword', Errors.notInRoom)
+            }
+
+            // Check that the player is the host
+            if (playerRoom.host !== socket.id)
+            {
+                return this.#helpers.replyError(socket, 'setRoomPassword', Errors.notHost)
+            }
+
+            // Validate the user inputs
+            if (password !== null && !this.#passwordGuard.validate(password))
+            {
+                return this.#helpers.replyError(socket, 'setRoomPassword', Errors.invalid.password)
+            }
+
+            // Store the password hash (null removes the password)
+            const { roomId } = this.#getPlayer(socket)
+            playerRoom.passwordHash = (password !== null) ? await this.#passwordGuard.hash(password) : null
+
+            // Broadcast to others
+            this.#helpers.roomUpdated(roomId)
+
+            // Reply
+            return this.#helpers.reply(socket, 'setRoomPassword')
+        }
+    }
+
+    /**
+     * @emits hostChanged
+     * @emits roomUpdated
+     */
+    transferHost(socket)
+    {
+        return ({ playerId } = {}) =>
+        {
+            this.logger.info(`requesting to transfer the host role to ${playerId}`, { socket: socket.id })
 
             // Get player
             const player = this.#getPlayer(socket)
@@ -604,71 +1487,100 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.notInRoom)
+                return this.#helpers.replyError(socket, 'transferHost', Errors.notInRoom)
             }
 
             // Check that the player is the host
             const isHost = playerRoom.host === socket.id
             if (!isHost)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.notHost)
+                return this.#helpers.replyError(socket, 'transferHost', Errors.notHost)
             }
 
-            // Check that the game is not already started
-            if (playerRoom.gameInstance !== null)
+            // Check that the new host is another online player of the room
+            const newHost = this.#registry.getPlayerIdFromPublicId(playerId)
+            if (!newHost || newHost === socket.id || !playerRoom.players.has(newHost) || !this.#players[newHost].online)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.gameAlreadyStarted)
+                return this.#helpers.replyError(socket, 'transferHost', Errors.playerNotFound)
             }
 
-            // Check that the number of players is valid
-            if (playerRoom.players.length < this.minPlayers || playerRoom.players.length > this.maxPlayers)
+            // Promote the new host
+            this.#helpers.setHost(player.roomId, newHost)
+
+            // Broadcast to others
+            if (playerRoom.gameInstance === null)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.wrongPlayerCount)
+                this.#helpers.roomUpdated(player.roomId)
             }
 
-            // Validate the room settings
-            const formattedPlayers = this.#formatPlayers(playerRoom.players, ['publicId', 'name', 'data'])
-            if (!this.roomSettingsChecker(playerRoom.settings, formattedPlayers))
+            // Reply
+            return this.#helpers.reply(socket, 'transferHost')
+        }
+    }
+
+    /**
+     * @emits kicked
+     * @emits playerKicked
+     */
+    kickPlayer(socket)
+    {
+        return this.#moderate(socket, 'kickPlayer', false)
+    }
+
+    /**
+     * @emits kicked
+     * @emits playerKicked
+     */
+    banPlayer(socket)
+    {
+        return this.#moderate(socket, 'banPlayer', true)
+    }
+
+    /**
+     * @emits gameStarted
+     */
+    startGame(socket)
+    {
+        return () =>
+        {
+            this.logger.info(`requesting to start the game`, { socket: socket.id })
+
+            // Get player
+            const player = this.#getPlayer(socket)
+
+            // Check that the player is in a room
+            const playerRoom = this.#getPlayerRoom(socket)
+            if (!playerRoom)
             {
-                return Helpers.replyError(socket, 'startGame', Errors.incompatibleSettings)
+                return this.#helpers.replyError(socket, 'startGame', Errors.notInRoom)
             }
 
-            // Create the RoomPusher
-            const playerSockets = playerRoom.players.reduce((acc, playerId) =>
+            // Check that the player is the host
+            const isHost = playerRoom.host === socket.id
+            if (!isHost)
             {
-                const roomPlayer = this.#players[playerId]
-                return { ...acc, [roomPlayer.publicId]: roomPlayer.socket }
-            }, {})
-            const roomPusher = new RoomPusher({
-                io: this.io,
-                roomId: player.roomId,
-                sockets: playerSockets,
-                logger: this.logger
-            })
-
-            // Create the game instance and init it
-            playerRoom.gameInstance = new this.#gameClass()
-            playerRoom.gameInstance.init({
-                players: formattedPlayers,
-                host: this.#players[playerRoom.host].publicId,
-                settings: playerRoom.settings,
-                roomId: player.roomId,
-                roomPusher,
-                logger: this.logger
-            })
+                return this.#helpers.replyError(socket, 'startGame', Errors.notHost)
+            }
 
-            // Server log
-            this.logger.room(`Game started`, { room: player.roomId })
+            // Check that all the players are ready, if required
+            if (this.requireReady && !this.#helpers.allReady(player.roomId))
+            {
+                return this.#helpers.replyError(socket, 'startGame', Errors.playersNotReady)
+            }
 
-            // Broadcast to others
-            this.io.to(player.roomId).emit('gameStarted')
+            // Start the game
+            const error = this.#helpers.launchGame(player.roomId, { socket: socket.id, player: player.publicId })
+            if (error)
+            {
+                return this.#helpers.replyError(socket, 'startGame', error, error.args)
+            }
 
             // Reply
-            return Helpers.reply(socket, 'startGame')
+            return this.#helpers.reply(socket, 'startGame')
         }
     }
 
-    customAction(socket, name, inputValidator)
+    customAction(socket, name)
     {
         return (data) =>
         {
@@ -681,42 +1593,43 @@ class Server
             const playerRoom = this.#getPlayerRoom(socket)
             if (!playerRoom)
             {
-                return Helpers.replyError(socket, name, Errors.notInRoom)
+                return this.#helpers.replyError(socket, name, Errors.notInRoom)
             }
 
-            // Check that the game is started in that room
-            if (!playerRoom.gameInstance)
+            // Check that the player is not a spectator
+            if (player.spectator)
             {
-                return Helpers.replyError(socket, name, Errors.gameNotStarted)
+                return this.#helpers.replyError(socket, name, Errors.spectator)
             }
 
-            // Validate user inputs
-            if ((inputValidator instanceof Function) && !inputValidator(data))
+            // Check that the action belongs to the room game
+            const action = this.#games.getAction(playerRoom.gameType, name)
+            if (!action)
             {
-                return Helpers.replyError(socket, name, Errors.invalid.input)
+                return this.#helpers.replyError(socket, name, Errors.unknownAction)
             }
 
-            // Check that the callback exists
-            const callback = playerRoom.gameInstance[name]
-            if (!(callback instanceof Function))
+            // Check that the game is started in that room
+            if (!playerRoom.gameInstance)
             {
-                return Helpers.replyError(socket, name, Errors.missingCallback)
+                return this.#helpers.replyError(socket, name, Errors.gameNotStarted)
             }
 
-            // Call the custom callback
-            const cbReturn = callback.call(playerRoom.gameInstance, {
-                playerId: player.publicId,
-                data
-            }) || {}
-
-            if (cbReturn.error)
+            // Check that the player is allowed to do the action
+            if (!this.#helpers.checkPermission(socket, name, action))
             {
-                return Helpers.replyError(socket, name, cbReturn.error)
+                return undefined
             }
-            else
+
+            // Validate user inputs
+            const inputFailure = action.inputValidator && runValidator(action.inputValidator, data)
+            if (inputFailure)
             {
-                return Helpers.reply(socket, name, cbReturn.response)
+                return this.#helpers.replyError(socket, name, Errors.invalid.input, inputFailure)
             }
+
+            // Call the game and reply
+            return this.#helpers.runAction(socket, name, data)
         }
     }
 
@@ -0,0 +1,43 @@
+'use strict'
+
+/**
+ * Error thrown by the validators to reject a client input.
+ * Its reason, field and details are sent back to the client in the error args.
+ */
+class ValidationError extends Error
+{
+    //=====================
+    // Public attributes
+    //=====================
+
+    /**
+     * Name of the invalid field, if any
+     * @type {(string|null)}
+     */
+    field = null
+
+    /**
+     * Additional details for the client, e.g. the allowed values
+     * @type {any}
+     */
+    details = null
+
+
+    //=====================
+    // Constructor
+    //=====================
+
+    /**
+     * @param {string} reason why the input is invalid
+     * @param {Object} [options] the invalid field and the additional details
+     */
+    constructor(reason, { field = null, details = null } = {})
+    {
+        super(reason)
+        this.name = 'ValidationError'
+        this.field = field
+        this.details = details
+    }
+}
+
+module.exports = ValidationError
\ No newline at end of file